@@ -31,12 +31,57 @@ bashio::log.info "Data directory check complete"
 # ============================================================================
 export SIGNALK_HOST=$(bashio::config 'signalk_host')
 export SIGNALK_PORT=$(bashio::config 'signalk_port')
+export SIGNALK_SSL=$(bashio::config 'signalk_ssl' 'false')
+export SIGNALK_REJECT_UNAUTHORIZED=$(bashio::config 'signalk_reject_unauthorized' 'true')
+export SIGNALK_USERNAME=$(bashio::config 'signalk_username' '')
+export SIGNALK_PASSWORD=$(bashio::config 'signalk_password' '')
+export SIGNALK_TOKEN=$(bashio::config 'signalk_token' '')
+export SIGNALK_ACCESS_REQUEST=$(bashio::config 'signalk_access_request' 'false')
+export SIGNALK_ADMIN_URL=$(bashio::config 'signalk_admin_url' '')
+export VESSEL_ID=$(bashio::config 'vessel_id' '')
 export MQTT_BROKER=$(bashio::config 'mqtt_broker')
 export MQTT_PORT=$(bashio::config 'mqtt_port')
 export MQTT_USERNAME=$(bashio::config 'mqtt_username')
 export MQTT_PASSWORD=$(bashio::config 'mqtt_password')
+export MQTT_CLIENT_ID=$(bashio::config 'mqtt_client_id' '')
+export MQTT_REJECT_UNAUTHORIZED=$(bashio::config 'mqtt_reject_unauthorized' 'true')
+
+# Certificate files are relative to /ssl (mapped from HA) unless absolute
+for option in ca cert key; do
+  file=$(bashio::config "mqtt_${option}" '')
+  if [[ -n "$file" && "$file" != /* ]]; then
+    file="/ssl/${file}"
+  fi
+  export "MQTT_${option^^}=${file}"
+done
 export RAW_MODE=$(bashio::config 'raw_mode' 'false')
 
+# Discovery prefix and device naming
+export DISCOVERY_PREFIX=$(bashio::config 'discovery_prefix' '')
+export DEVICE_NAME=$(bashio::config 'device_name' '')
+export DEVICE_ID=$(bashio::config 'device_id' '')
+
+# Sensor overrides (list of objects) are passed as JSON and merged over app-config.json
+export SENSOR_OVERRIDES=$(jq -c '.sensors // []' /data/options.json)
+
+# Include/exclude filters (lists become comma-separated globs)
+for option in include_paths exclude_paths include_sources exclude_sources; do
+  if bashio::config.has_value "$option"; then
+    export "${option^^}=$(bashio::config "$option" | paste -sd ',' -)"
+  fi
+done
+
+# Persistent bridge state (SignalK device token, ...)
+export STATE_DIR="/data"
+
+# The bundled app-config.json is part of the image - the bridge reads (and watches) a copy in the
+# add-on config folder (/addon_configs/<slug> on the host), which users can edit
+if [[ ! -f /config/app-config.json ]]; then
+  bashio::log.info "Creating /config/app-config.json from the bundled configuration"
+  cp /app/app-config.json /config/app-config.json
+fi
+export CONFIG_PATH="/config/app-config.json"
+
 bashio::log.info "SignalK Server: ${SIGNALK_HOST}:${SIGNALK_PORT}"
 bashio::log.info "MQTT Broker: ${MQTT_BROKER}:${MQTT_PORT}"
 
@@ -0,0 +1,359 @@
+const EARTH_RADIUS = 6371000; // meters
+const RAD_TO_DEG = 180 / Math.PI;
+const MS_TO_KNOTS = 1.943844;
+const METERS_PER_NM = 1852;
+
+class AisTracker {
+  constructor(config, haDiscovery, signalKClient, vesselTracker) {
+    this.config = config;
+    this.haDiscovery = haDiscovery;
+    this.signalKClient = signalKClient;
+    // Own position/course/speed come from the vessel tracker
+    this.vesselTracker = vesselTracker;
+
+    const aisConfig = config.ais || {};
+    this.enabled = aisConfig.enabled === true;
+    this.radius = aisConfig.radius ?? 5556;                 // m (3 nm)
+    this.expireAfter = (aisConfig.expireAfter ?? 600) * 1000; // s → ms
+    this.cpaAlarm = aisConfig.cpaAlarm ?? 926;              // m (0.5 nm)
+    this.tcpaAlarm = aisConfig.tcpaAlarm ?? 900;            // s (15 min)
+    this.minInterval = aisConfig.minInterval ?? 10000;      // ms between tracker updates per target
+    this.updateInterval = 5000;                              // ms between closest/collision updates
+
+    // Tracked targets (context -> { mmsi, name, position, cog, sog, heading, lastSeen, entity, lastPublish })
+    this.targets = new Map();
+    this.summaryEntities = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start expiring targets and publishing closest target / collision risk
+   */
+  start() {
+    if (!this.enabled || this.timer) {
+      return;
+    }
+    console.log(`🛥️  AIS tracking enabled (radius ${(this.radius / METERS_PER_NM).toFixed(1)} nm)`);
+    this.timer = setInterval(() => this.update(), this.updateInterval);
+  }
+
+  /**
+   * Stop the update timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Handle a SignalK value from another vessel's context
+   * @param {string} context - SignalK context (e.g., "vessels.urn:mrn:imo:mmsi:123456789")
+   * @param {string} signalkPath - SignalK path
+   * @param {*} value - SignalK value
+   */
+  handleValue(context, signalkPath, value) {
+    if (!this.enabled) {
+      return;
+    }
+
+    let target = this.targets.get(context);
+    if (!target) {
+      target = {
+        mmsi: this.getMmsi(context),
+        name: null,
+        position: null,
+        cog: null,
+        sog: null,
+        heading: null,
+        lastSeen: 0,
+        entity: null,
+        lastPublish: 0,
+      };
+      this.targets.set(context, target);
+      this.fetchName(context, target);
+    }
+
+    target.lastSeen = Date.now();
+
+    switch (signalkPath) {
+      case 'navigation.position':
+        target.position = value;
+        this.publishTarget(context, target);
+        break;
+      case 'navigation.courseOverGroundTrue':
+        target.cog = value;
+        break;
+      case 'navigation.speedOverGround':
+        target.sog = value;
+        break;
+      case 'navigation.headingTrue':
+        target.heading = value;
+        break;
+      case '':
+        // Root values (name, mmsi) are sent with an empty path
+        if (value && value.name) target.name = value.name;
+        if (value && value.mmsi) target.mmsi = String(value.mmsi);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Look up a target's name via the SignalK REST API (names are rarely sent in deltas)
+   * @param {string} context - SignalK context
+   * @param {Object} target - Target
+   */
+  async fetchName(context, target) {
+    try {
+      const vesselId = context.replace(/^vessels\./, '');
+      const name = await this.signalKClient.getJson(`/signalk/v1/api/vessels/${encodeURIComponent(vesselId)}/name`);
+      if (typeof name === 'string' && name) {
+        target.name = name;
+      }
+    } catch (error) {
+      // Name is optional - the MMSI is used instead
+    }
+  }
+
+  /**
+   * Publish a target as a device_tracker if it is within the radius (throttled)
+   * @param {string} context - SignalK context
+   * @param {Object} target - Target
+   */
+  publishTarget(context, target) {
+    const own = this.vesselTracker.navigation;
+    if (!this.isValidPosition(own.position) || !this.isValidPosition(target.position)) {
+      return;
+    }
+
+    const encounter = this.computeEncounter(own, target);
+    target.distance = encounter.distance;
+    target.cpa = encounter.cpa;
+    target.tcpa = encounter.tcpa;
+
+    // Out of range: remove from HA (the target keeps being tracked for CPA purposes)
+    if (encounter.distance > this.radius) {
+      if (target.entity) {
+        this.haDiscovery.removeEntity(target.entity);
+        target.entity = null;
+      }
+      return;
+    }
+
+    const now = Date.now();
+    if (target.entity && now - target.lastPublish < this.minInterval) {
+      return;
+    }
+    target.lastPublish = now;
+
+    if (!target.entity) {
+      target.entity = this.haDiscovery.publishEntity('device_tracker', this.getDevice(), `target_${target.mmsi || this.haDiscovery.getSensorId(context)}`, {
+        name: this.getTargetName(target),
+        icon: 'mdi:ferry',
+        source_type: 'gps',
+      }, { state: false, attributes: true });
+      console.log(`🛥️  AIS target in range: ${this.getTargetName(target)}`);
+    }
+
+    this.haDiscovery.publishState(target.entity.attributesTopic, {
+      latitude: target.position.latitude,
+      longitude: target.position.longitude,
+      name: target.name,
+      mmsi: target.mmsi,
+      speed_over_ground: typeof target.sog === 'number' ? Number((target.sog * MS_TO_KNOTS).toFixed(1)) : null,
+      course_over_ground: typeof target.cog === 'number' ? this.toDegrees(target.cog) : null,
+      heading: typeof target.heading === 'number' ? this.toDegrees(target.heading) : null,
+      distance: Number((encounter.distance / METERS_PER_NM).toFixed(2)),
+      cpa: Number((encounter.cpa / METERS_PER_NM).toFixed(2)),
+      tcpa: Math.round(encounter.tcpa),
+    });
+  }
+
+  /**
+   * Expire silent targets and publish the closest target and collision risk
+   */
+  update() {
+    const now = Date.now();
+
+    for (const [context, target] of this.targets) {
+      if (now - target.lastSeen > this.expireAfter) {
+        if (target.entity) {
+          this.haDiscovery.removeEntity(target.entity);
+          console.log(`🛥️  AIS target expired: ${this.getTargetName(target)}`);
+        }
+        this.targets.delete(context);
+      }
+    }
+
+    const own = this.vesselTracker.navigation;
+    if (!this.isValidPosition(own.position)) {
+      return;
+    }
+
+    let closest = null;
+    const risks = [];
+    for (const target of this.targets.values()) {
+      if (!this.isValidPosition(target.position)) {
+        continue;
+      }
+
+      Object.assign(target, this.computeEncounter(own, target));
+      if (target.distance > this.radius) {
+        continue;
+      }
+
+      if (!closest || target.distance < closest.distance) {
+        closest = target;
+      }
+      if (target.cpa < this.cpaAlarm && target.tcpa >= 0 && target.tcpa < this.tcpaAlarm) {
+        risks.push(target);
+      }
+    }
+
+    this.publishSummary(closest, risks);
+  }
+
+  /**
+   * Publish the closest target sensor and collision risk binary sensor
+   * @param {Object|null} closest - Closest target within the radius
+   * @param {Array<Object>} risks - Targets with CPA/TCPA below the alarm thresholds
+   */
+  publishSummary(closest, risks) {
+    if (!this.summaryEntities) {
+      const device = this.getDevice();
+      this.summaryEntities = {
+        closest: this.haDiscovery.publishEntity('sensor', device, 'closest_target', {
+          name: 'Closest Target',
+          icon: 'mdi:ferry',
+          device_class: 'distance',
+          unit_of_measurement: 'm',
+          state_class: 'measurement',
+          suggested_display_precision: 0,
+        }, { attributes: true }),
+        collision: this.haDiscovery.publishEntity('binary_sensor', device, 'collision_risk', {
+          name: 'Collision Risk',
+          device_class: 'safety',
+        }, { attributes: true }),
+      };
+    }
+
+    const { closest: closestEntity, collision } = this.summaryEntities;
+    this.haDiscovery.publishState(closestEntity.stateTopic, closest ? String(Math.round(closest.distance)) : 'None');
+    this.haDiscovery.publishState(closestEntity.attributesTopic, closest ? this.getTargetSummary(closest) : {});
+
+    this.haDiscovery.publishState(collision.stateTopic, risks.length > 0 ? 'ON' : 'OFF');
+    this.haDiscovery.publishState(collision.attributesTopic, {
+      targets: risks.map(target => this.getTargetSummary(target)),
+      cpa_alarm_nm: Number((this.cpaAlarm / METERS_PER_NM).toFixed(2)),
+      tcpa_alarm_min: Number((this.tcpaAlarm / 60).toFixed(1)),
+    });
+  }
+
+  /**
+   * Summarize a target for sensor attributes
+   * @param {Object} target - Target
+   * @returns {Object} - { name, mmsi, distance_nm, cpa_nm, tcpa_min }
+   */
+  getTargetSummary(target) {
+    return {
+      name: this.getTargetName(target),
+      mmsi: target.mmsi,
+      distance_nm: Number((target.distance / METERS_PER_NM).toFixed(2)),
+      cpa_nm: Number((target.cpa / METERS_PER_NM).toFixed(2)),
+      tcpa_min: Number((target.tcpa / 60).toFixed(1)),
+    };
+  }
+
+  /**
+   * Compute distance, CPA and TCPA between own vessel and a target
+   * Uses a local flat-earth projection around own position (accurate within the AIS radius)
+   * @param {Object} own - { position, courseOverGroundTrue, speedOverGround }
+   * @param {Object} target - { position, cog, sog }
+   * @returns {Object} - { distance (m), cpa (m), tcpa (s, negative when diverging) }
+   */
+  computeEncounter(own, target) {
+    const lat0 = own.position.latitude / RAD_TO_DEG;
+    const dx = (target.position.longitude - own.position.longitude) / RAD_TO_DEG * Math.cos(lat0) * EARTH_RADIUS;
+    const dy = (target.position.latitude - own.position.latitude) / RAD_TO_DEG * EARTH_RADIUS;
+
+    const ownVelocity = this.toVelocity(own.courseOverGroundTrue, own.speedOverGround);
+    const targetVelocity = this.toVelocity(target.cog, target.sog);
+    const vx = targetVelocity.x - ownVelocity.x;
+    const vy = targetVelocity.y - ownVelocity.y;
+
+    const distance = Math.hypot(dx, dy);
+    const relativeSpeed2 = vx * vx + vy * vy;
+    if (relativeSpeed2 < 1e-6) {
+      // Same course and speed: the distance never changes
+      return { distance, cpa: distance, tcpa: 0 };
+    }
+
+    const tcpa = -(dx * vx + dy * vy) / relativeSpeed2;
+    const cpa = Math.hypot(dx + vx * tcpa, dy + vy * tcpa);
+    return { distance, cpa, tcpa };
+  }
+
+  /**
+   * Convert course/speed to an east/north velocity vector
+   * @param {number} course - Course in radians
+   * @param {number} speed - Speed in m/s
+   * @returns {Object} - { x (east), y (north) } in m/s
+   */
+  toVelocity(course, speed) {
+    if (typeof course !== 'number' || typeof speed !== 'number') {
+      return { x: 0, y: 0 };
+    }
+    return { x: speed * Math.sin(course), y: speed * Math.cos(course) };
+  }
+
+  /**
+   * Get the HA device that groups all AIS entities
+   * @returns {Object} - HA device object
+   */
+  getDevice() {
+    return this.haDiscovery.getSubDevice('ais', 'AIS Targets', 'SignalK AIS');
+  }
+
+  /**
+   * Get a display name for a target
+   * @param {Object} target - Target
+   * @returns {string} - Vessel name or MMSI
+   */
+  getTargetName(target) {
+    return target.name || `MMSI ${target.mmsi || 'unknown'}`;
+  }
+
+  /**
+   * Extract the MMSI from a SignalK context
+   * @param {string} context - SignalK context (e.g., "vessels.urn:mrn:imo:mmsi:123456789")
+   * @returns {string|null} - MMSI
+   */
+  getMmsi(context) {
+    const match = context.match(/mmsi:(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Check if a position has numeric latitude/longitude
+   * @param {Object} position - SignalK position
+   * @returns {boolean}
+   */
+  isValidPosition(position) {
+    return !!position && typeof position.latitude === 'number' && typeof position.longitude === 'number';
+  }
+
+  /**
+   * Convert radians to degrees in [0, 360) with 1 decimal
+   * @param {number} radians - Angle in radians
+   * @returns {number} - Angle in degrees
+   */
+  toDegrees(radians) {
+    const degrees = ((radians * RAD_TO_DEG) % 360 + 360) % 360;
+    return Number(degrees.toFixed(1));
+  }
+}
+
+module.exports = AisTracker;
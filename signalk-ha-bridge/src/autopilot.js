@@ -0,0 +1,261 @@
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+class Autopilot {
+  constructor(config, haDiscovery, signalKClient, commandHandler) {
+    this.config = config;
+    this.haDiscovery = haDiscovery;
+    this.signalKClient = signalKClient;
+    this.commandHandler = commandHandler;
+
+    const autopilotConfig = config.autopilot || {};
+    this.enabled = autopilotConfig.enabled !== false;
+    // 'v2' uses /signalk/v2/api/vessels/self/autopilots/{id}, 'v1' uses PUT on steering.autopilot.* paths
+    this.api = autopilotConfig.api || 'v2';
+    this.autopilotId = autopilotConfig.id || '_default';
+    this.modes = autopilotConfig.modes || ['standby', 'auto', 'wind', 'route'];
+    // Heading reference for v1 target PUTs (headingMagnetic or headingTrue)
+    this.headingPath = autopilotConfig.headingPath || 'headingMagnetic';
+
+    // Entities are published on the first autopilot delta (entity key -> entity)
+    this.entities = null;
+    // Last published state per entity key (only publish changes)
+    this.lastState = new Map();
+    // Current autopilot mode (v2 "target" is a heading or wind angle depending on mode)
+    this.mode = null;
+  }
+
+  /**
+   * Handle a SignalK value if it belongs to the autopilot panel
+   * @param {string} signalkPath - SignalK path
+   * @param {*} value - SignalK value
+   * @returns {boolean} - True if the value was consumed (no generic sensor needed)
+   */
+  handleValue(signalkPath, value) {
+    if (!this.enabled || !signalkPath.startsWith('steering.autopilot.')) {
+      return false;
+    }
+
+    switch (signalkPath) {
+      case 'steering.autopilot.state':
+        this.publishDiscovery();
+        this.mode = value;
+        this.publishState('mode', value);
+        return true;
+
+      case 'steering.autopilot.target.headingMagnetic':
+      case 'steering.autopilot.target.headingTrue':
+        this.publishDiscovery();
+        this.publishState('targetHeading', this.toDegrees(value, 0));
+        return true;
+
+      case 'steering.autopilot.target.windAngleApparent':
+        this.publishDiscovery();
+        this.publishState('targetWindAngle', this.toDegrees(value, -180));
+        return true;
+
+      case 'steering.autopilot.target':
+        // v2 API: a single target whose meaning depends on the mode
+        this.publishDiscovery();
+        if (this.mode === 'wind') {
+          this.publishState('targetWindAngle', this.toDegrees(value, -180));
+        } else {
+          this.publishState('targetHeading', this.toDegrees(value, 0));
+        }
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Publish the autopilot control entities (once)
+   */
+  publishDiscovery() {
+    if (this.entities) {
+      return;
+    }
+
+    const device = this.haDiscovery.getSubDevice('autopilot', 'Autopilot', `SignalK Autopilot (${this.api})`);
+    this.entities = {};
+
+    this.entities.mode = this.haDiscovery.publishEntity('select', device, 'mode', {
+      name: 'Mode',
+      icon: 'mdi:ship-wheel',
+      options: this.modes,
+    }, { command: true, attributes: true });
+
+    this.entities.targetHeading = this.haDiscovery.publishEntity('number', device, 'target_heading', {
+      name: 'Target Heading',
+      icon: 'mdi:compass',
+      unit_of_measurement: '°',
+      min: 0,
+      max: 359,
+      step: 1,
+      mode: 'box',
+    }, { command: true, attributes: true });
+
+    this.entities.targetWindAngle = this.haDiscovery.publishEntity('number', device, 'target_wind_angle', {
+      name: 'Target Wind Angle',
+      icon: 'mdi:windsock',
+      unit_of_measurement: '°',
+      min: -180,
+      max: 180,
+      step: 1,
+      mode: 'box',
+    }, { command: true, attributes: true });
+
+    const buttons = [
+      { key: 'minus10', name: '-10°', icon: 'mdi:chevron-double-left', adjust: -10 },
+      { key: 'minus1', name: '-1°', icon: 'mdi:chevron-left', adjust: -1 },
+      { key: 'plus1', name: '+1°', icon: 'mdi:chevron-right', adjust: 1 },
+      { key: 'plus10', name: '+10°', icon: 'mdi:chevron-double-right', adjust: 10 },
+      { key: 'tackPort', name: 'Tack Port', icon: 'mdi:arrow-u-left-top', tack: 'port' },
+      { key: 'tackStarboard', name: 'Tack Starboard', icon: 'mdi:arrow-u-right-top', tack: 'starboard' },
+    ];
+
+    for (const button of buttons) {
+      const objectId = button.key.replace(/([A-Z])/g, '_$1').toLowerCase();
+      this.entities[button.key] = this.haDiscovery.publishEntity('button', device, objectId, {
+        name: button.name,
+        icon: button.icon,
+      }, { state: false, command: true, attributes: true });
+
+      this.registerCommand(this.entities[button.key], `Autopilot ${button.name}`, () => (
+        button.tack ? this.tack(button.tack) : this.adjustHeading(button.adjust)
+      ));
+    }
+
+    this.registerCommand(this.entities.mode, 'Autopilot Mode', (payload) => this.setMode(payload));
+    this.registerCommand(this.entities.targetHeading, 'Autopilot Target Heading', (payload) => (
+      this.setTarget(this.parseDegrees(payload), `target.${this.headingPath}`)
+    ));
+    this.registerCommand(this.entities.targetWindAngle, 'Autopilot Target Wind Angle', (payload) => (
+      this.setTarget(this.parseDegrees(payload), 'target.windAngleApparent')
+    ));
+
+    console.log(`🧭 Discovered: Autopilot controls (${this.api} API)`);
+  }
+
+  /**
+   * Register an autopilot command with the command handler
+   * @param {Object} entity - Published entity
+   * @param {string} name - Command name for logging
+   * @param {Function} execute - (payload) => Promise<SignalK request status>
+   */
+  registerCommand(entity, name, execute) {
+    this.commandHandler.register(entity.commandTopic, {
+      name,
+      attributesTopic: entity.attributesTopic,
+      execute: (payload) => {
+        console.log(`🎛️  Command: ${name} ${payload}`);
+        return execute(payload);
+      },
+    });
+  }
+
+  /**
+   * Set autopilot mode (standby/auto/wind/route)
+   * @param {string} mode - Autopilot mode
+   * @returns {Promise<Object>} - SignalK request status
+   */
+  setMode(mode) {
+    if (!this.modes.includes(mode)) {
+      throw new Error(`Unknown autopilot mode "${mode}"`);
+    }
+    if (this.api === 'v2') {
+      return this.signalKClient.request('PUT', `${this.getApiPath()}/state`, { value: mode });
+    }
+    return this.signalKClient.put('steering.autopilot.state', mode);
+  }
+
+  /**
+   * Set autopilot target heading or wind angle
+   * @param {number} degrees - Target in degrees
+   * @param {string} v1Path - Path below steering.autopilot for the v1 API
+   * @returns {Promise<Object>} - SignalK request status
+   */
+  setTarget(degrees, v1Path) {
+    const radians = degrees * DEG_TO_RAD;
+    if (this.api === 'v2') {
+      return this.signalKClient.request('PUT', `${this.getApiPath()}/target`, { value: radians });
+    }
+    return this.signalKClient.put(`steering.autopilot.${v1Path}`, radians);
+  }
+
+  /**
+   * Adjust autopilot target by a number of degrees
+   * @param {number} degrees - Adjustment (negative = port)
+   * @returns {Promise<Object>} - SignalK request status
+   */
+  adjustHeading(degrees) {
+    if (this.api === 'v2') {
+      return this.signalKClient.request('PUT', `${this.getApiPath()}/target/adjust`, { value: degrees, units: 'deg' });
+    }
+    return this.signalKClient.put('steering.autopilot.actions.adjustHeading', degrees);
+  }
+
+  /**
+   * Tack to port or starboard
+   * @param {string} direction - "port" or "starboard"
+   * @returns {Promise<Object>} - SignalK request status
+   */
+  tack(direction) {
+    if (this.api === 'v2') {
+      return this.signalKClient.request('POST', `${this.getApiPath()}/tack/${direction}`);
+    }
+    return this.signalKClient.put('steering.autopilot.actions.tack', direction);
+  }
+
+  /**
+   * Get v2 autopilot API path
+   * @returns {string} - API path
+   */
+  getApiPath() {
+    return `/signalk/v2/api/vessels/self/autopilots/${encodeURIComponent(this.autopilotId)}`;
+  }
+
+  /**
+   * Publish entity state if it changed
+   * @param {string} key - Entity key
+   * @param {*} state - State value
+   */
+  publishState(key, state) {
+    if (state === null || state === undefined || this.lastState.get(key) === state) {
+      return;
+    }
+    this.lastState.set(key, state);
+    this.haDiscovery.publishState(this.entities[key].stateTopic, String(state));
+  }
+
+  /**
+   * Convert radians to whole degrees in the range [lower, lower + 360)
+   * @param {number} radians - Angle in radians
+   * @param {number} lower - Lower bound of the range (0 or -180)
+   * @returns {number|null} - Angle in degrees
+   */
+  toDegrees(radians, lower) {
+    if (typeof radians !== 'number' || !isFinite(radians)) {
+      return null;
+    }
+    // Round before normalizing, so 359.6° becomes 0 rather than 360 (above the number's max)
+    const degrees = Math.round(radians * RAD_TO_DEG);
+    return ((degrees - lower) % 360 + 360) % 360 + lower;
+  }
+
+  /**
+   * Parse a degrees payload from HA
+   * @param {string} payload - Command payload
+   * @returns {number} - Degrees
+   */
+  parseDegrees(payload) {
+    const degrees = parseFloat(payload);
+    if (!isFinite(degrees)) {
+      throw new Error(`Invalid angle "${payload}"`);
+    }
+    return degrees;
+  }
+}
+
+module.exports = Autopilot;
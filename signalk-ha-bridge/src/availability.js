@@ -0,0 +1,212 @@
+class AvailabilityMonitor {
+  constructor(config, mqttClient) {
+    this.config = config;
+    this.mqttClient = mqttClient;
+
+    const availabilityConfig = config.availability || {};
+    // A device is offline when its N2K source has sent nothing for this long (seconds)
+    this.deviceTimeout = (availabilityConfig.deviceTimeout ?? 60) * 1000;
+    // expire_after = expected update interval × expireFactor
+    this.expireFactor = availabilityConfig.expireFactor ?? 30;
+
+    // Expected update interval (seconds) by SignalK path pattern (first match wins)
+    // null = static data that is only sent occasionally (never expires)
+    this.updateIntervals = [
+      { pattern: /^(design|communication|registrations|sensors)\./, interval: null },
+      { pattern: /^navigation\.(datetime|gnss)\./, interval: 1 },
+      { pattern: /^(navigation|steering|performance)\./, interval: 1 },
+      { pattern: /^environment\.(wind|depth|current)\./, interval: 1 },
+      { pattern: /^(electrical|propulsion)\./, interval: 2 },
+      { pattern: /^tanks\./, interval: 5 },
+      { pattern: /^environment\./, interval: 10 },
+    ];
+    this.defaultInterval = 5;
+
+    // Per-device availability (deviceId -> { lastSeen, online })
+    this.devices = new Map();
+    this.signalKConnected = false;
+    this.timer = null;
+  }
+
+  /**
+   * Get the bridge availability topic (set to "offline" by the MQTT last will)
+   * @returns {string} - MQTT topic
+   */
+  getBridgeTopic() {
+    return `${this.config.homeassistant.discoveryPrefix}/bridge/${this.config.homeassistant.deviceId}/availability`;
+  }
+
+  /**
+   * Get the SignalK connection availability topic
+   * @returns {string} - MQTT topic
+   */
+  getSignalKTopic() {
+    return `${this.config.homeassistant.discoveryPrefix}/bridge/${this.config.homeassistant.deviceId}/signalk`;
+  }
+
+  /**
+   * Get the availability topic for an N2K source device
+   * @param {string} deviceId - HA device ID
+   * @returns {string} - MQTT topic
+   */
+  getDeviceTopic(deviceId) {
+    return `${this.config.homeassistant.discoveryPrefix}/bridge/${this.config.homeassistant.deviceId}/devices/${deviceId}`;
+  }
+
+  /**
+   * Get the MQTT last will (marks the bridge offline if it crashes or loses the broker)
+   * @returns {Object} - mqtt.js "will" option
+   */
+  getLastWill() {
+    return { topic: this.getBridgeTopic(), payload: 'offline', qos: 1, retain: true };
+  }
+
+  /**
+   * Get availability settings for a discovery payload
+   * Entities are available only while the bridge is online AND their source is sending
+   * (or SignalK is connected, for entities not tied to one N2K source)
+   * @param {string|null} deviceId - HA device ID of the N2K source, or null
+   * @returns {Object} - { availability, availability_mode }
+   */
+  getAvailabilityPayload(deviceId = null) {
+    return {
+      availability: [
+        { topic: this.getBridgeTopic() },
+        { topic: deviceId ? this.getDeviceTopic(deviceId) : this.getSignalKTopic() },
+      ],
+      availability_mode: 'all',
+    };
+  }
+
+  /**
+   * Get availability settings for entities that only depend on the bridge (e.g., its diagnostics)
+   * @returns {Object} - { availability }
+   */
+  getBridgeAvailabilityPayload() {
+    return {
+      availability: [{ topic: this.getBridgeTopic() }],
+    };
+  }
+
+  /**
+   * Get expire_after (seconds) for a sensor, based on how often its path is expected to update
+   * @param {string} signalkPath - SignalK path
+   * @param {Object} sensorConfig - Sensor configuration ("expireAfter" overrides, 0 disables)
+   * @returns {number|null} - expire_after in seconds, or null for no expiry
+   */
+  getExpireAfter(signalkPath, sensorConfig = {}) {
+    if (sensorConfig.expireAfter !== undefined) {
+      return sensorConfig.expireAfter > 0 ? sensorConfig.expireAfter : null;
+    }
+
+    const match = this.updateIntervals.find(({ pattern }) => pattern.test(signalkPath));
+    const interval = match ? match.interval : this.defaultInterval;
+    return interval === null ? null : Math.ceil(interval * this.expireFactor);
+  }
+
+  /**
+   * Start checking for devices that stopped sending
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.checkDevices(), 10000);
+    }
+  }
+
+  /**
+   * Stop the device check timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Publish all availability states (called on every MQTT connect, replacing the last will)
+   */
+  publishOnline() {
+    this.publish(this.getBridgeTopic(), true);
+    this.publish(this.getSignalKTopic(), this.signalKConnected);
+    for (const [deviceId, device] of this.devices) {
+      this.publish(this.getDeviceTopic(deviceId), device.online);
+    }
+  }
+
+  /**
+   * Mark the bridge offline (graceful shutdown)
+   */
+  publishOffline() {
+    this.publish(this.getBridgeTopic(), false);
+  }
+
+  /**
+   * Update SignalK connection state (all devices go offline when SignalK disconnects)
+   * @param {boolean} connected - SignalK WebSocket connected
+   */
+  setSignalKConnected(connected) {
+    this.signalKConnected = connected;
+    this.publish(this.getSignalKTopic(), connected);
+
+    if (!connected) {
+      for (const deviceId of this.devices.keys()) {
+        this.setDeviceOnline(deviceId, false);
+      }
+    }
+  }
+
+  /**
+   * Record that an N2K source device sent data
+   * @param {string} deviceId - HA device ID
+   */
+  markSeen(deviceId) {
+    const device = this.devices.get(deviceId);
+    if (device) {
+      device.lastSeen = Date.now();
+    } else {
+      this.devices.set(deviceId, { lastSeen: Date.now(), online: false });
+    }
+    this.setDeviceOnline(deviceId, true);
+  }
+
+  /**
+   * Mark devices offline when they stopped sending
+   */
+  checkDevices() {
+    const now = Date.now();
+    for (const [deviceId, device] of this.devices) {
+      if (device.online && now - device.lastSeen > this.deviceTimeout) {
+        console.warn(`⚠️  Device ${deviceId} stopped sending - marking unavailable`);
+        this.setDeviceOnline(deviceId, false);
+      }
+    }
+  }
+
+  /**
+   * Set device availability (publishes only on change)
+   * @param {string} deviceId - HA device ID
+   * @param {boolean} online - Device availability
+   */
+  setDeviceOnline(deviceId, online) {
+    const device = this.devices.get(deviceId);
+    if (!device || device.online === online) {
+      return;
+    }
+    device.online = online;
+    this.publish(this.getDeviceTopic(deviceId), online);
+  }
+
+  /**
+   * Publish a retained availability payload
+   * @param {string} topic - Availability topic
+   * @param {boolean} online - Availability
+   */
+  publish(topic, online) {
+    if (this.mqttClient.client) {
+      this.mqttClient.publish(topic, online ? 'online' : 'offline', { qos: 1, retain: true });
+    }
+  }
+}
+
+module.exports = AvailabilityMonitor;
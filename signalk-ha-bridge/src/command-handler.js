@@ -0,0 +1,158 @@
+class CommandHandler {
+  constructor(config, mqttClient, signalKClient, sensorConverter) {
+    this.config = config;
+    this.mqttClient = mqttClient;
+    this.signalKClient = signalKClient;
+    this.sensorConverter = sensorConverter;
+    // Registered commands (commandTopic -> command)
+    this.commands = new Map();
+    // How often to poll SignalK for PENDING requests, and when to give up
+    this.pendingPollInterval = 1000;
+    this.pendingTimeout = 30000;
+  }
+
+  /**
+   * Subscribe to all Home Assistant command topics published by the bridge
+   * Must be called on every MQTT (re)connect since sessions are clean
+   */
+  subscribe() {
+    this.mqttClient.subscribe(`${this.config.homeassistant.discoveryPrefix}/+/+/+/set`, { qos: 1 });
+  }
+
+  /**
+   * Register a writable SignalK path behind a Home Assistant command topic
+   * @param {string} commandTopic - MQTT command topic
+   * @param {Object} entity - { signalkPath, component, sensorConfig, meta, attributesTopic }
+   */
+  registerPath(commandTopic, { signalkPath, component, sensorConfig, meta, attributesTopic }) {
+    this.register(commandTopic, {
+      name: sensorConfig.name,
+      attributesTopic,
+      execute: (payload) => {
+        const value = this.parsePayload(signalkPath, component, payload, meta);
+        console.log(`🎛️  Command: ${signalkPath} = ${JSON.stringify(value)}`);
+        return this.signalKClient.put(signalkPath, value);
+      },
+    });
+  }
+
+  /**
+   * Register a custom command behind a Home Assistant command topic
+   * @param {string} commandTopic - MQTT command topic
+   * @param {Object} command - { name, attributesTopic, execute(payload) => Promise<SignalK request status> }
+   */
+  register(commandTopic, command) {
+    this.commands.set(commandTopic, command);
+  }
+
+  /**
+   * Stop routing a command topic (e.g., when a path is no longer writable after a config reload)
+   * @param {string} commandTopic - MQTT command topic
+   */
+  unregister(commandTopic) {
+    this.commands.delete(commandTopic);
+  }
+
+  /**
+   * Handle an incoming MQTT message (ignores topics that are not registered commands)
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Raw MQTT payload
+   */
+  async handleMessage(topic, message) {
+    const command = this.commands.get(topic);
+    if (!command) {
+      return;
+    }
+
+    const payload = message.toString();
+
+    try {
+      let status = await command.execute(payload);
+
+      if (status.state === 'PENDING') {
+        this.reportStatus(command.attributesTopic, status);
+        status = await this.waitForCompletion(status);
+      }
+
+      this.reportStatus(command.attributesTopic, status);
+
+      if (status.state !== 'COMPLETED' || status.statusCode >= 300) {
+        console.warn(`⚠️  Command ${command.name} failed: ${status.statusCode} ${status.message || status.state}`);
+      }
+    } catch (error) {
+      console.error(`❌ Command ${command.name} error:`, error.message);
+      this.reportStatus(command.attributesTopic, { state: 'FAILED', statusCode: 500, message: error.message });
+    }
+  }
+
+  /**
+   * Parse a Home Assistant command payload into a SignalK value
+   * @param {string} signalkPath - SignalK path
+   * @param {string} component - HA component type (switch, number, select)
+   * @param {string} payload - Command payload from HA
+   * @param {Object} meta - SignalK meta object
+   * @returns {*} - Value in SignalK units
+   */
+  parsePayload(signalkPath, component, payload, meta = null) {
+    switch (component) {
+      case 'switch':
+        if (payload !== 'ON' && payload !== 'OFF') {
+          throw new Error(`Invalid switch payload "${payload}"`);
+        }
+        return payload === 'ON';
+
+      case 'number': {
+        const value = parseFloat(payload);
+        if (!isFinite(value)) {
+          throw new Error(`Invalid number payload "${payload}"`);
+        }
+        return this.sensorConverter.revertValue(signalkPath, value, meta);
+      }
+
+      default:
+        return payload;
+    }
+  }
+
+  /**
+   * Poll SignalK until a PENDING request completes or times out
+   * @param {Object} status - PENDING request status with href
+   * @returns {Promise<Object>} - Final request status
+   */
+  async waitForCompletion(status) {
+    if (!status.href) {
+      return status;
+    }
+
+    const deadline = Date.now() + this.pendingTimeout;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.pendingPollInterval));
+      const current = await this.signalKClient.getRequestStatus(status.href);
+      if (current.state !== 'PENDING') {
+        return current;
+      }
+    }
+
+    return { ...status, state: 'FAILED', statusCode: 504, message: 'Timed out waiting for SignalK' };
+  }
+
+  /**
+   * Report a command status back to Home Assistant as entity attributes
+   * @param {string} attributesTopic - JSON attributes topic of the entity
+   * @param {Object} status - SignalK request status
+   */
+  reportStatus(attributesTopic, status) {
+    if (!attributesTopic) {
+      return;
+    }
+
+    this.mqttClient.publish(attributesTopic, {
+      command_state: status.state,
+      command_status_code: status.statusCode,
+      command_message: status.message || '',
+      command_time: new Date().toISOString(),
+    });
+  }
+}
+
+module.exports = CommandHandler;
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { validateConfig } = require('./config-schema');
+
+class ConfigError extends Error {
+  /**
+   * @param {string} message - Summary
+   * @param {Array<string>} errors - Individual validation errors
+   */
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+class ConfigLoader extends EventEmitter {
+  constructor(configPath) {
+    super();
+    this.configPath = configPath;
+    this.watcher = null;
+    this.reloadTimer = null;
+    // Last successfully loaded file contents, to detect which sections changed
+    this.current = null;
+    // Sensor overrides from the add-on options (path -> sensor config), applied over the file
+    this.sensorOverrides = {};
+  }
+
+  /**
+   * Set sensor overrides from the Home Assistant add-on options
+   * @param {Array<Object>} overrides - [{ path, name, unit, device_class, icon, enabled }]
+   */
+  setSensorOverrides(overrides) {
+    this.sensorOverrides = {};
+    for (const { path: sensorPath, device_class: deviceClass, ...options } of overrides) {
+      if (deviceClass !== undefined) {
+        options.deviceClass = deviceClass;
+      }
+      this.sensorOverrides[sensorPath] = options;
+    }
+  }
+
+  /**
+   * Merge the add-on sensor overrides over the sensors section of the file
+   * @param {Object} sensors - Sensors section of app-config.json
+   * @returns {Object} - Merged sensors section
+   */
+  mergeSensors(sensors = {}) {
+    const merged = { ...sensors };
+    for (const [sensorPath, options] of Object.entries(this.sensorOverrides)) {
+      merged[sensorPath] = { ...(merged[sensorPath] || {}), ...options };
+    }
+    return merged;
+  }
+
+  /**
+   * Validate a configuration that was changed after loading (e.g., by add-on options)
+   * @param {Object} config - Configuration
+   * @param {string} origin - Where the changes came from, for the error message
+   * @throws {ConfigError}
+   */
+  validate(config, origin) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      throw new ConfigError(`${origin} have ${errors.length} error${errors.length > 1 ? 's' : ''}`, errors);
+    }
+  }
+
+  /**
+   * Read and validate the configuration file
+   * @returns {Object} - Parsed configuration
+   * @throws {ConfigError} - If the file can't be read, isn't valid JSON or doesn't match the schema
+   */
+  load() {
+    const config = this.read();
+    this.current = JSON.parse(JSON.stringify(config));
+    return config;
+  }
+
+  /**
+   * Read, parse and validate the configuration file
+   * @returns {Object} - Parsed configuration
+   * @throws {ConfigError}
+   */
+  read() {
+    const fileName = path.basename(this.configPath);
+
+    let text;
+    try {
+      text = fs.readFileSync(this.configPath, 'utf8');
+    } catch (error) {
+      throw new ConfigError(`Cannot read ${fileName}: ${error.message}`);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      throw new ConfigError(`${fileName} is not valid JSON${this.getErrorLocation(text, error)}: ${error.message}`);
+    }
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      throw new ConfigError(`${fileName} has ${errors.length} error${errors.length > 1 ? 's' : ''}`, errors);
+    }
+
+    return config;
+  }
+
+  /**
+   * Turn the character position of a JSON.parse error into a line/column
+   * @param {string} text - File contents
+   * @param {Error} error - JSON.parse error
+   * @returns {string} - e.g., " (line 12, column 5)", or "" if unknown
+   */
+  getErrorLocation(text, error) {
+    const match = error.message.match(/position (\d+)/);
+    if (!match) {
+      return '';
+    }
+    const before = text.slice(0, Number(match[1])).split('\n');
+    return ` (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+  }
+
+  /**
+   * Watch the configuration file and reload sensor mappings when it changes
+   * Emits "sensors" (new sensors section, with add-on overrides applied) after a valid change;
+   * invalid files are reported and ignored
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+
+    // Watch the directory: editors often replace the file, which ends a watch on the file itself
+    const fileName = path.basename(this.configPath);
+    try {
+      this.watcher = fs.watch(path.dirname(this.configPath), (eventType, changedFile) => {
+        if (changedFile !== fileName) {
+          return;
+        }
+        // Editors write in several steps - wait for the file to settle
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), 500);
+      });
+      console.log(`👀 Watching ${fileName} for sensor mapping changes`);
+    } catch (error) {
+      console.warn(`⚠️  Cannot watch ${fileName} - changes need a restart:`, error.message);
+    }
+  }
+
+  /**
+   * Reload the configuration file after a change
+   */
+  reload() {
+    let config;
+    try {
+      config = this.read();
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      console.error('❌ Keeping the previous configuration');
+      return;
+    }
+
+    const previous = this.current;
+    this.current = JSON.parse(JSON.stringify(config));
+
+    const changedSections = Object.keys({ ...previous, ...config })
+      .filter(section => JSON.stringify(previous[section]) !== JSON.stringify(config[section]));
+    if (changedSections.length === 0) {
+      return;
+    }
+
+    const restartSections = changedSections.filter(section => section !== 'sensors');
+    if (restartSections.length > 0) {
+      console.warn(`⚠️  Changes to ${restartSections.join(', ')} take effect after a restart`);
+    }
+
+    if (changedSections.includes('sensors')) {
+      console.log('🔄 Sensor mappings changed - reloading');
+      this.emit('sensors', this.mergeSensors(config.sensors));
+    }
+  }
+
+  /**
+   * Stop watching the configuration file
+   */
+  stop() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = { ConfigLoader, ConfigError };
@@ -0,0 +1,400 @@
+/**
+ * Schema for app-config.json
+ *
+ * Each field is { type, required, enum, items, properties, values, keys, validate }:
+ * - properties: known keys of an object (any other key is reported as unknown)
+ * - values: schema for every value of a map-like object (e.g., sensors)
+ * - keys(key): check for the keys of a map-like object, returning an error message or null
+ * - validate(value): extra check returning an error message, or null
+ */
+
+// Home Assistant device classes per component
+const DEVICE_CLASSES = {
+  sensor: [
+    'apparent_power', 'aqi', 'area', 'atmospheric_pressure', 'battery', 'blood_glucose_concentration',
+    'carbon_dioxide', 'carbon_monoxide', 'conductivity', 'current', 'data_rate', 'data_size', 'date',
+    'distance', 'duration', 'energy', 'energy_distance', 'energy_storage', 'enum', 'frequency', 'gas',
+    'humidity', 'illuminance', 'irradiance', 'moisture', 'monetary', 'nitrogen_dioxide', 'nitrogen_monoxide',
+    'nitrous_oxide', 'ozone', 'ph', 'pm1', 'pm10', 'pm25', 'power', 'power_factor', 'precipitation',
+    'precipitation_intensity', 'pressure', 'reactive_power', 'signal_strength', 'sound_pressure', 'speed',
+    'sulphur_dioxide', 'temperature', 'timestamp', 'volatile_organic_compounds',
+    'volatile_organic_compounds_parts', 'voltage', 'volume', 'volume_flow_rate', 'volume_storage', 'water',
+    'weight', 'wind_direction', 'wind_speed',
+  ],
+  binary_sensor: [
+    'battery', 'battery_charging', 'carbon_monoxide', 'cold', 'connectivity', 'door', 'garage_door', 'gas',
+    'heat', 'light', 'lock', 'moisture', 'motion', 'moving', 'occupancy', 'opening', 'plug', 'power',
+    'presence', 'problem', 'running', 'safety', 'smoke', 'sound', 'tamper', 'update', 'vibration', 'window',
+  ],
+  switch: ['outlet', 'switch'],
+};
+// number entities accept the sensor device classes (except a few that make no sense as inputs)
+DEVICE_CLASSES.number = DEVICE_CLASSES.sensor.filter(deviceClass => !['date', 'enum', 'timestamp'].includes(deviceClass));
+DEVICE_CLASSES.select = [];
+
+const COMPONENTS = ['sensor', 'binary_sensor', 'switch', 'number', 'select'];
+
+/**
+ * Validate a sensor path or wildcard pattern (e.g., "electrical.batteries.*.voltage")
+ * @param {string} pattern - Sensor key from the sensors section
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validatePathPattern(pattern) {
+  const segments = pattern.split('.');
+  if (segments.some(segment => segment === '')) {
+    return 'invalid path pattern (empty segment)';
+  }
+  const invalid = segments.find(segment => !/^[A-Za-z0-9_*-]+$/.test(segment));
+  if (invalid) {
+    return `invalid path pattern (segment "${invalid}" may only contain letters, digits, "_", "-" and "*")`;
+  }
+  return null;
+}
+
+/**
+ * Validate a sensor's device class against its component (any component if not set)
+ * @param {Object} sensor - Sensor configuration
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateDeviceClass(sensor) {
+  if (sensor.deviceClass === undefined || sensor.deviceClass === null) {
+    return null;
+  }
+  const components = sensor.component ? [sensor.component] : COMPONENTS;
+  const valid = components.some(component => (DEVICE_CLASSES[component] || []).includes(sensor.deviceClass));
+  return valid ? null : `unknown device class "${sensor.deviceClass}"${sensor.component ? ` for ${sensor.component}` : ''}`;
+}
+
+/**
+ * Validate a glob used by the include/exclude filters
+ * @param {string} glob - Glob (e.g., "electrical.batteries.*", "propulsion.**.temperature")
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateGlob(glob) {
+  if (glob === '' || glob.split('.').some(segment => segment === '')) {
+    return `invalid glob "${glob}" (empty segment)`;
+  }
+  return /^[A-Za-z0-9_*.:-]+$/.test(glob) ? null : `invalid glob "${glob}" (may only contain letters, digits, ".", "_", "-", ":" and "*")`;
+}
+
+/**
+ * Validate the include list (globs or { path, period, minPeriod } entries)
+ * @param {Array} include - Include entries
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateInclude(include) {
+  for (const entry of include) {
+    if (typeof entry === 'string') {
+      const error = validateGlob(entry);
+      if (error) return error;
+      continue;
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry) || typeof entry.path !== 'string') {
+      return 'entries must be globs or { "path", "period", "minPeriod" } objects';
+    }
+    const unknown = Object.keys(entry).find(key => !['path', 'period', 'minPeriod'].includes(key));
+    if (unknown) return `unknown key "${unknown}" in entry for "${entry.path}"`;
+    if (['period', 'minPeriod'].some(key => entry[key] !== undefined && typeof entry[key] !== 'number')) {
+      return `period and minPeriod must be numbers (entry for "${entry.path}")`;
+    }
+    const error = validateGlob(entry.path);
+    if (error) return error;
+  }
+  return null;
+}
+
+const GLOB_LIST = { type: 'array', items: { type: 'string', validate: validateGlob } };
+
+const SENSOR_SCHEMA = {
+  type: 'object',
+  validate: validateDeviceClass,
+  properties: {
+    enabled: { type: 'boolean' },
+    name: { type: 'string' },
+    deviceClass: { type: 'string' },
+    unit: { type: 'string' },
+    icon: { type: 'string', validate: icon => (/^[a-z-]+:[a-z0-9-]+$/.test(icon) ? null : 'must look like "mdi:icon-name"') },
+    component: { type: 'string', enum: COMPONENTS },
+    writable: { type: 'boolean' },
+    options: { type: 'array', items: { type: 'string' } },
+    min: { type: 'number' },
+    max: { type: 'number' },
+    step: { type: 'number' },
+    expireAfter: { type: 'number' },
+    minInterval: { type: 'number' },
+    deadband: { type: 'number' },
+    deadbandPercent: { type: 'number' },
+    heartbeat: { type: 'number' },
+    stateClass: { type: 'string', enum: ['measurement', 'total', 'total_increasing'] },
+  },
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    mqtt: {
+      type: 'object',
+      required: true,
+      properties: {
+        broker: { type: 'string', required: true },
+        port: { type: 'integer' },
+        username: { type: 'string' },
+        password: { type: 'string' },
+        clientId: { type: 'string' },
+        ca: { type: 'string' },
+        cert: { type: 'string' },
+        key: { type: 'string' },
+        rejectUnauthorized: { type: 'boolean' },
+      },
+    },
+    signalk: {
+      type: 'object',
+      required: true,
+      properties: {
+        topicPrefix: { type: 'string' },
+        vesselId: { type: 'string' },
+        host: { type: 'string', required: true },
+        port: { type: 'integer' },
+        ssl: { type: 'boolean' },
+        rejectUnauthorized: { type: 'boolean' },
+        username: { type: 'string' },
+        password: { type: 'string' },
+        token: { type: 'string' },
+        accessRequest: { type: 'boolean' },
+        accessDescription: { type: 'string' },
+        adminUrl: { type: 'string', validate: url => (/^https?:\/\/[^/]+/.test(url) ? null : 'must be an http:// or https:// URL') },
+      },
+    },
+    homeassistant: {
+      type: 'object',
+      required: true,
+      properties: {
+        discoveryPrefix: { type: 'string', required: true, validate: prefix => (/^[^#+/][^#+]*$/.test(prefix) && !prefix.endsWith('/') ? null : 'must be an MQTT topic without wildcards or trailing "/"') },
+        deviceName: { type: 'string', required: true },
+        deviceId: { type: 'string', required: true, validate: id => (/^[A-Za-z0-9_-]+$/.test(id) ? null : 'may only contain letters, digits, "_" and "-"') },
+        statusTopic: { type: 'string' },
+      },
+    },
+    rawMode: { type: 'boolean' },
+    dataDir: { type: 'string' },
+    deviceRegistry: {
+      type: 'object',
+      properties: {
+        refreshInterval: { type: 'number' },
+        minRefreshInterval: { type: 'number' },
+      },
+    },
+    availability: {
+      type: 'object',
+      properties: {
+        deviceTimeout: { type: 'number' },
+        expireFactor: { type: 'number' },
+      },
+    },
+    publish: {
+      type: 'object',
+      properties: {
+        minInterval: { type: 'number' },
+        heartbeat: { type: 'number' },
+      },
+    },
+    pipeline: {
+      type: 'object',
+      properties: {
+        maxQueuePerPath: { type: 'integer' },
+        highWaterMark: { type: 'integer' },
+        lowWaterMark: { type: 'integer' },
+      },
+    },
+    autopilot: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        api: { type: 'string', enum: ['v1', 'v2'] },
+        id: { type: 'string' },
+        modes: { type: 'array', items: { type: 'string' } },
+        headingPath: { type: 'string', enum: ['headingMagnetic', 'headingTrue'] },
+      },
+    },
+    notifications: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+      },
+    },
+    discovery: {
+      type: 'object',
+      properties: {
+        cleanup: { type: 'boolean' },
+        maxAgeDays: { type: 'number' },
+      },
+    },
+    diagnostics: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        interval: { type: 'number' },
+      },
+    },
+    vesselTracker: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        minInterval: { type: 'number' },
+        uere: { type: 'number' },
+      },
+    },
+    ais: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        radius: { type: 'number' },
+        expireAfter: { type: 'number' },
+        cpaAlarm: { type: 'number' },
+        tcpaAlarm: { type: 'number' },
+        minInterval: { type: 'number' },
+      },
+    },
+    derived: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        trueWind: { type: 'boolean' },
+        vmg: { type: 'boolean' },
+        current: { type: 'boolean' },
+        gust: { type: 'boolean' },
+        maxAge: { type: 'number' },
+        maxSkew: { type: 'number' },
+        gustWindow: { type: 'number' },
+      },
+    },
+    tanks: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        capacities: {
+          type: 'object',
+          keys: key => (/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(key) ? null : 'must be "<type>.<id>" (e.g., "fuel.0")'),
+          values: { type: 'number', validate: capacity => (capacity > 0 ? null : 'must be greater than 0') },
+        },
+        minSpeed: { type: 'number' },
+        maxAge: { type: 'number' },
+      },
+    },
+    energy: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        maxGap: { type: 'number' },
+        saveInterval: { type: 'number' },
+        chargingPositive: { type: 'boolean' },
+      },
+    },
+    filters: {
+      type: 'object',
+      properties: {
+        include: { type: 'array', validate: validateInclude },
+        exclude: GLOB_LIST,
+        includeSources: GLOB_LIST,
+        excludeSources: GLOB_LIST,
+        period: { type: 'number' },
+        minPeriod: { type: 'number' },
+      },
+    },
+    sensors: {
+      type: 'object',
+      keys: validatePathPattern,
+      values: SENSOR_SCHEMA,
+    },
+  },
+};
+
+/**
+ * Get the type name of a JSON value as used in the schema
+ * @param {*} value - JSON value
+ * @returns {string} - "array", "null", "integer", "number", "string", "boolean" or "object"
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema field, collecting every error
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema field
+ * @param {string} location - Path for error messages (e.g., "sensors[\"navigation.log\"].unit")
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateValue(value, schema, location, errors) {
+  const actualType = typeOf(value);
+  const typeMatches = schema.type === 'number'
+    ? actualType === 'number' || actualType === 'integer'
+    : actualType === schema.type;
+  if (!typeMatches) {
+    errors.push(`${location || 'config'}: expected ${schema.type}, got ${actualType}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: must be one of ${schema.enum.join(', ')} (got "${value}")`);
+    return;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${location}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    if (schema.properties) {
+      for (const [key, field] of Object.entries(schema.properties)) {
+        if (field.required && value[key] === undefined) {
+          errors.push(`${location ? `${location}.` : ''}${key}: required`);
+        }
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childLocation = schema.values
+        ? `${location}["${key}"]`
+        : `${location ? `${location}.` : ''}${key}`;
+
+      if (schema.keys) {
+        const keyError = schema.keys(key);
+        if (keyError) {
+          errors.push(`${childLocation}: ${keyError}`);
+          continue;
+        }
+      }
+
+      const field = schema.values || (schema.properties && schema.properties[key]);
+      if (!field) {
+        errors.push(`${childLocation}: unknown key`);
+        continue;
+      }
+      validateValue(child, field, childLocation, errors);
+    }
+  }
+
+  if (schema.validate) {
+    const error = schema.validate(value);
+    if (error) {
+      errors.push(`${location}: ${error}`);
+    }
+  }
+}
+
+/**
+ * Validate a parsed app-config.json
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<string>} - Validation errors (empty if valid)
+ */
+function validateConfig(config) {
+  const errors = [];
+  validateValue(config, SCHEMA, '', errors);
+  return errors;
+}
+
+module.exports = { SCHEMA, DEVICE_CLASSES, validateConfig };
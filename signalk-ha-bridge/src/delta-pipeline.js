@@ -0,0 +1,103 @@
+const EventEmitter = require('events');
+
+class DeltaPipeline extends EventEmitter {
+  /**
+   * @param {Object} config - App configuration
+   * @param {SensorConverter} sensorConverter - Meta cache/lookup
+   * @param {Function} processValue - Called in arrival order per key with (item, meta)
+   */
+  constructor(config, sensorConverter, processValue) {
+    super();
+    this.config = config;
+    this.sensorConverter = sensorConverter;
+    this.processValue = processValue;
+
+    const pipelineConfig = config.pipeline || {};
+    // Values waiting per path; older values are dropped first (only the latest state matters)
+    this.maxQueuePerPath = pipelineConfig.maxQueuePerPath ?? 10;
+    // Pause the SignalK stream above highWaterMark queued values, resume below lowWaterMark
+    this.highWaterMark = pipelineConfig.highWaterMark ?? 1000;
+    this.lowWaterMark = pipelineConfig.lowWaterMark ?? 100;
+
+    // Per-key queues (key -> { items, running })
+    this.queues = new Map();
+    this.pending = 0;
+    this.paused = false;
+    this.dropped = 0;
+    // Values whose meta was known (in the delta or cached) vs. looked up over REST
+    this.metaHits = 0;
+    this.metaMisses = 0;
+  }
+
+  /**
+   * Queue a value for processing
+   * Values whose meta is already known are processed immediately (synchronously) unless
+   * earlier values for the same key are still waiting for their meta
+   * @param {Object} item - { key, path, value, meta, ... } (passed through to processValue)
+   */
+  push(item) {
+    let queue = this.queues.get(item.key);
+    if (!queue) {
+      queue = { items: [], running: false };
+      this.queues.set(item.key, queue);
+    }
+
+    queue.items.push(item);
+    this.pending++;
+
+    if (queue.items.length > this.maxQueuePerPath) {
+      queue.items.shift();
+      this.pending--;
+      this.dropped++;
+    }
+
+    if (!queue.running) {
+      this.drain(item.key, queue);
+    } else if (!this.paused && this.pending > this.highWaterMark) {
+      this.paused = true;
+      console.warn(`⚠️  ${this.pending} SignalK values waiting - pausing stream`);
+      this.emit('pause');
+    }
+  }
+
+  /**
+   * Process queued values for one key in order, waiting for meta lookups as needed
+   * @param {string} key - Queue key
+   * @param {Object} queue - { items, running }
+   */
+  async drain(key, queue) {
+    queue.running = true;
+
+    while (queue.items.length > 0) {
+      const item = queue.items.shift();
+      this.pending--;
+
+      try {
+        let meta = item.meta && Object.keys(item.meta).length > 0
+          ? item.meta
+          : this.sensorConverter.getCachedMeta(item.path);
+        if (meta === undefined) {
+          this.metaMisses++;
+          meta = await this.sensorConverter.fetchMeta(item.path);
+        } else {
+          this.metaHits++;
+        }
+        this.processValue(item, meta);
+      } catch (error) {
+        console.error(`❌ Error processing ${item.path}:`, error.message);
+      }
+    }
+
+    queue.running = false;
+    this.queues.delete(key);
+
+    if (this.paused && this.pending < this.lowWaterMark) {
+      this.paused = false;
+      console.log(`▶️  SignalK backlog cleared${this.dropped > 0 ? ` (${this.dropped} superseded values skipped)` : ''} - resuming stream`);
+      this.dropped = 0;
+      this.emit('resume');
+    }
+  }
+}
+
+module.exports = DeltaPipeline;
@@ -0,0 +1,299 @@
+const TWO_PI = 2 * Math.PI;
+
+// Inputs used by the calculations (SignalK SI units)
+const INPUT_PATHS = [
+  'environment.wind.speedApparent',
+  'environment.wind.angleApparent',
+  'environment.wind.speedTrue',
+  'navigation.speedThroughWater',
+  'navigation.speedOverGround',
+  'navigation.courseOverGroundTrue',
+  'navigation.headingTrue',
+  'navigation.headingMagnetic',
+  'navigation.magneticVariation',
+];
+
+// Outputs (published like SignalK values, so the usual unit conversion applies)
+const OUTPUTS = {
+  'environment.wind.speedTrue': { units: 'm/s', description: 'True wind speed (derived from apparent wind and speed through water)' },
+  'environment.wind.angleTrueWater': { units: 'rad', description: 'True wind angle relative to the bow (derived from apparent wind and speed through water)' },
+  'environment.wind.speedOverGround': { units: 'm/s', description: 'Ground wind speed (derived from apparent wind and speed over ground)' },
+  'environment.wind.angleTrueGround': { units: 'rad', description: 'Ground wind angle relative to the bow (derived from apparent wind and speed over ground)' },
+  'environment.wind.directionTrue': { units: 'rad', description: 'True wind direction (derived from true wind angle and heading)' },
+  'environment.wind.gust': { units: 'm/s', description: 'Highest true (or ground) wind speed within the gust window' },
+  'performance.velocityMadeGood': { units: 'm/s', description: 'Velocity made good to windward (negative downwind)' },
+  'environment.current.setTrue': { units: 'rad', description: 'Current set (derived from course/speed over ground and heading/speed through water)' },
+  'environment.current.drift': { units: 'm/s', description: 'Current drift (derived from course/speed over ground and heading/speed through water)' },
+};
+
+class DerivedValues {
+  /**
+   * @param {Object} config - App configuration
+   * @param {Function} emitValue - Called with (path, value, meta) for every derived value
+   */
+  constructor(config, emitValue) {
+    this.config = config;
+    this.emitValue = emitValue;
+
+    const derivedConfig = config.derived || {};
+    this.enabled = derivedConfig.enabled !== false;
+    this.trueWind = derivedConfig.trueWind !== false;
+    this.vmg = derivedConfig.vmg !== false;
+    this.current = derivedConfig.current !== false;
+    this.gust = derivedConfig.gust !== false;
+    // Inputs older than this are stale and suppress the outputs that use them (seconds)
+    this.maxAge = (derivedConfig.maxAge ?? 5) * 1000;
+    // Inputs combined in one calculation must be measured within this time of each other (seconds)
+    this.maxSkew = (derivedConfig.maxSkew ?? 2) * 1000;
+    // Rolling window for the gust maximum (seconds)
+    this.gustWindow = (derivedConfig.gustWindow ?? 600) * 1000;
+
+    // Latest input per path (path -> { value, timestamp, received, sourceId })
+    this.inputs = new Map();
+    // Outputs SignalK already provides (path -> last received), e.g., from the derived-data plugin
+    this.provided = new Map();
+    // True wind speed samples per reference (water, ground), decreasing in value
+    // (monotonic queue: the first one is the window maximum)
+    this.gustSamples = { water: [], ground: [] };
+  }
+
+  /**
+   * Observe a SignalK value and recalculate the outputs that use it
+   * @param {string} signalkPath - SignalK path
+   * @param {*} value - SignalK value
+   * @param {string} sourceId - Source of the value
+   * @param {string} timestamp - SignalK update timestamp (ISO 8601, measurement time)
+   */
+  observeValue(signalkPath, value, sourceId, timestamp) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const now = Date.now();
+    if (OUTPUTS[signalkPath]) {
+      this.provided.set(signalkPath, now);
+    }
+
+    if (!INPUT_PATHS.includes(signalkPath) || typeof value !== 'number' || !isFinite(value)) {
+      return;
+    }
+
+    // Stick to one source per input while it keeps sending, so values from two sensors aren't mixed
+    const previous = this.inputs.get(signalkPath);
+    if (previous && previous.sourceId !== sourceId && now - previous.received <= this.maxAge) {
+      return;
+    }
+
+    const measured = Date.parse(timestamp);
+    this.inputs.set(signalkPath, {
+      value,
+      timestamp: isNaN(measured) ? now : measured,
+      received: now,
+      sourceId,
+    });
+
+    switch (signalkPath) {
+      case 'environment.wind.speedApparent':
+      case 'environment.wind.angleApparent':
+        this.calculateWind();
+        break;
+      case 'environment.wind.speedTrue':
+        this.addGustSample('water', value, now);
+        break;
+      case 'navigation.courseOverGroundTrue':
+      case 'navigation.speedOverGround':
+        this.calculateCurrent();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Get the values of a set of inputs if all are fresh and measured at about the same time
+   * @param {Array<string>} paths - Input paths
+   * @returns {Array<number>|null} - Values in the same order, or null
+   */
+  getAligned(paths) {
+    const now = Date.now();
+    const inputs = paths.map(path => this.inputs.get(path));
+    if (inputs.some(input => !input || now - input.received > this.maxAge)) {
+      return null;
+    }
+
+    const timestamps = inputs.map(input => input.timestamp);
+    if (Math.max(...timestamps) - Math.min(...timestamps) > this.maxSkew) {
+      return null;
+    }
+    return inputs.map(input => input.value);
+  }
+
+  /**
+   * Get the true heading with the other inputs of a calculation (magnetic heading plus
+   * variation if there is no true heading)
+   * @param {Array<string>} paths - Other input paths
+   * @returns {Array<number>|null} - Values of the other inputs followed by the heading, or null
+   */
+  getAlignedWithHeading(paths) {
+    const values = this.getAligned([...paths, 'navigation.headingTrue']);
+    if (values) {
+      return values;
+    }
+
+    const magnetic = this.getAligned([...paths, 'navigation.headingMagnetic', 'navigation.magneticVariation']);
+    if (!magnetic) {
+      return null;
+    }
+    const variation = magnetic.pop();
+    magnetic.push(normalizeDirection(magnetic.pop() + variation));
+    return magnetic;
+  }
+
+  /**
+   * True wind (relative to the water, or to the ground without speed through water),
+   * true wind direction, VMG and the gust maximum
+   */
+  calculateWind() {
+    if (!this.trueWind && !this.vmg) {
+      return;
+    }
+
+    let waterReferenced = true;
+    let inputs = this.getAligned(['environment.wind.speedApparent', 'environment.wind.angleApparent', 'navigation.speedThroughWater']);
+    if (!inputs) {
+      waterReferenced = false;
+      inputs = this.getAligned(['environment.wind.speedApparent', 'environment.wind.angleApparent', 'navigation.speedOverGround']);
+    }
+    if (!inputs) {
+      return;
+    }
+
+    const [speedApparent, angleApparent, boatSpeed] = inputs;
+
+    // Subtract the boat's motion from the apparent wind vector (x forward, y starboard)
+    const x = speedApparent * Math.cos(angleApparent) - boatSpeed;
+    const y = speedApparent * Math.sin(angleApparent);
+    const speed = Math.hypot(x, y);
+    // A calm has no direction
+    const angle = speed > 0 ? Math.atan2(y, x) : 0;
+
+    if (this.trueWind) {
+      if (waterReferenced) {
+        this.emit('environment.wind.speedTrue', speed);
+        this.emit('environment.wind.angleTrueWater', angle);
+      } else {
+        this.emit('environment.wind.speedOverGround', speed);
+        this.emit('environment.wind.angleTrueGround', angle);
+      }
+
+      // A true wind speed from SignalK is sampled as it arrives
+      if (!waterReferenced || !this.isProvided('environment.wind.speedTrue')) {
+        this.addGustSample(waterReferenced ? 'water' : 'ground', speed, Date.now());
+      }
+
+      const heading = this.getAlignedWithHeading(['environment.wind.angleApparent']);
+      if (heading) {
+        this.emit('environment.wind.directionTrue', normalizeDirection(heading[1] + angle));
+      }
+    }
+
+    if (this.vmg && waterReferenced) {
+      this.emit('performance.velocityMadeGood', boatSpeed * Math.cos(angle));
+    }
+  }
+
+  /**
+   * Current set and drift: the difference between the motion over ground and through the water
+   * (leeway is ignored)
+   */
+  calculateCurrent() {
+    if (!this.current) {
+      return;
+    }
+
+    const inputs = this.getAlignedWithHeading([
+      'navigation.courseOverGroundTrue',
+      'navigation.speedOverGround',
+      'navigation.speedThroughWater',
+    ]);
+    if (!inputs) {
+      return;
+    }
+
+    const [course, speedOverGround, speedThroughWater, heading] = inputs;
+
+    // Vectors as (east, north)
+    const east = speedOverGround * Math.sin(course) - speedThroughWater * Math.sin(heading);
+    const north = speedOverGround * Math.cos(course) - speedThroughWater * Math.cos(heading);
+    const drift = Math.hypot(east, north);
+
+    this.emit('environment.current.drift', drift);
+    if (drift > 0) {
+      this.emit('environment.current.setTrue', normalizeDirection(Math.atan2(east, north)));
+    }
+  }
+
+  /**
+   * Add a true wind speed sample and publish the maximum within the gust window.
+   * Wind over water and over ground are kept in separate windows so one maximum never mixes the
+   * two; the ground window is only published while the water window has no samples.
+   * @param {string} reference - 'water' or 'ground'
+   * @param {number} speed - True wind speed (m/s)
+   * @param {number} time - Sample time (ms)
+   */
+  addGustSample(reference, speed, time) {
+    if (!this.gust) {
+      return;
+    }
+
+    // Drop samples that can never be the maximum again, then those outside the window
+    const samples = this.gustSamples[reference];
+    while (samples.length > 0 && samples[samples.length - 1].speed <= speed) {
+      samples.pop();
+    }
+    samples.push({ speed, time });
+    for (const window of Object.values(this.gustSamples)) {
+      while (window.length > 0 && window[0].time < time - this.gustWindow) {
+        window.shift();
+      }
+    }
+
+    if (reference === 'ground' && this.gustSamples.water.length > 0) {
+      return;
+    }
+    this.emit('environment.wind.gust', samples[0].speed);
+  }
+
+  /**
+   * Check if SignalK itself currently provides an output
+   * @param {string} signalkPath - Output path
+   * @returns {boolean}
+   */
+  isProvided(signalkPath) {
+    const received = this.provided.get(signalkPath);
+    return received !== undefined && Date.now() - received <= this.maxAge;
+  }
+
+  /**
+   * Publish a derived value unless SignalK already provides it
+   * @param {string} signalkPath - Output path
+   * @param {number} value - Value in SI units
+   */
+  emit(signalkPath, value) {
+    if (this.isProvided(signalkPath)) {
+      return;
+    }
+    this.emitValue(signalkPath, value, OUTPUTS[signalkPath]);
+  }
+}
+
+/**
+ * Normalize a direction to 0..2π
+ * @param {number} angle - Angle (rad)
+ * @returns {number}
+ */
+function normalizeDirection(angle) {
+  return ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+}
+
+module.exports = DerivedValues;
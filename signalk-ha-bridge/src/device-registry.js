@@ -1,84 +1,368 @@
-const http = require('http');
+const EventEmitter = require('events');
 
-class DeviceRegistry {
-  constructor(config) {
+const STATE_FILE = 'device-identities.json';
+
+// Common NMEA 0183 talker IDs
+const TALKERS = {
+  AG: 'Autopilot', AP: 'Autopilot', AI: 'AIS', BD: 'BeiDou', CD: 'DSC', EC: 'ECDIS', GA: 'Galileo',
+  GL: 'GLONASS', GN: 'GNSS', GP: 'GPS', HC: 'Compass', HE: 'Gyro', II: 'Instruments', IN: 'Instruments',
+  RA: 'Radar', SD: 'Depth Sounder', VD: 'Doppler Log', VW: 'Speed Log', WI: 'Weather', YX: 'Transducer',
+};
+
+class DeviceRegistry extends EventEmitter {
+  constructor(config, signalkHttp, stateStore) {
+    super();
     this.config = config;
+    this.http = signalkHttp;
+    this.stateStore = stateStore;
     this.devices = new Map();
+
+    const registryConfig = config.deviceRegistry || {};
+    // Periodic refresh (seconds, 0 disables)
+    this.refreshInterval = registryConfig.refreshInterval ?? 300;
+    // Minimum time between refreshes triggered by unknown sources (seconds)
+    this.minRefreshInterval = registryConfig.minRefreshInterval ?? 30;
+
+    this.refreshTimer = null;
+    this.fetching = null;
+    this.lastFetch = 0;
+    // Unknown sources a refresh was already triggered for (not retried until the next periodic refresh)
+    this.unknownSources = new Set();
+
+    // Stable device identities (persisted):
+    // - identities: identity (CAN NAME) -> HA device ID
+    // - addresses: N2K source address -> identity (changes after address claiming)
+    // - migrated: existing devices kept their address-based IDs (n2k_src_<address>)
+    this.identityState = this.stateStore.load(STATE_FILE, { migrated: false, identities: {}, addresses: {} });
+  }
+
+  /**
+   * Start the periodic refresh
+   */
+  start() {
+    if (!this.refreshTimer && this.refreshInterval > 0) {
+      this.refreshTimer = setInterval(() => {
+        this.unknownSources.clear();
+        this.fetchDevices();
+      }, this.refreshInterval * 1000);
+    }
+  }
+
+  /**
+   * Stop the periodic refresh
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
   }
 
   /**
    * Fetch device information from SignalK API
+   * Concurrent calls share one request. Emits "change" with the source IDs whose information changed.
    * @returns {Promise<void>}
    */
-  async fetchDevices() {
-    const signalkHost = this.config.signalk.host || '10.147.17.208';
-    const signalkPort = this.config.signalk.port || 3000;
-    const url = `http://${signalkHost}:${signalkPort}/signalk/v1/api/sources`;
+  fetchDevices() {
+    if (!this.fetching) {
+      this.fetching = this.loadDevices().finally(() => {
+        this.fetching = null;
+      });
+    }
+    return this.fetching;
+  }
 
-    return new Promise((resolve, reject) => {
-      let req;
-      const timeout = setTimeout(() => {
-        if (req) req.destroy(); // Abort the request
-        reject(new Error('SignalK API request timed out'));
-      }, 30000); // Increased to 30 seconds for slow connections
+  /**
+   * Load and parse the sources tree
+   * @returns {Promise<void>}
+   */
+  async loadDevices() {
+    this.lastFetch = Date.now();
+    try {
+      // 30 seconds for slow connections
+      const sources = await this.http.getJson('/signalk/v1/api/sources', { timeout: 30000 });
+      if (!sources) {
+        console.warn('⚠️  Failed to fetch SignalK devices: sources unavailable');
+        return; // Don't fail startup if API is unavailable
+      }
 
-      req = http.get(url, (res) => {
-        clearTimeout(timeout);
-        let data = '';
+      const firstLoad = this.devices.size === 0;
+      const previous = this.devices;
+      this.devices = this.parseDevices(sources);
+      if (firstLoad) {
+        this.devices.forEach(deviceInfo => this.logDevice(deviceInfo));
+        console.log(`📋 Loaded ${this.devices.size} devices from SignalK`);
+      }
+      this.updateIdentities();
 
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
+      const changed = [...this.devices.keys()]
+        .filter(sourceId => previous.has(sourceId) && JSON.stringify(previous.get(sourceId)) !== JSON.stringify(this.devices.get(sourceId)));
+      const added = [...this.devices.keys()].filter(sourceId => !previous.has(sourceId));
+      if (!firstLoad && added.length > 0) {
+        added.forEach(sourceId => this.logDevice(this.devices.get(sourceId)));
+      }
+      if (changed.length > 0 || (!firstLoad && added.length > 0)) {
+        this.emit('change', [...changed, ...added]);
+      }
+    } catch (error) {
+      console.warn('⚠️  Failed to fetch SignalK devices:', error.message);
+      // Don't fail startup if API is unavailable
+    }
+  }
 
-        res.on('end', () => {
-          try {
-            const sources = JSON.parse(data);
-            this.parseDevices(sources);
-            console.log(`📋 Loaded ${this.devices.size} N2K devices from SignalK`);
-            resolve();
-          } catch (error) {
-            console.warn('⚠️  Failed to parse SignalK sources:', error.message);
-            resolve(); // Don't fail startup if API is unavailable
-          }
-        });
-      }).on('error', (error) => {
-        clearTimeout(timeout);
-        console.warn('⚠️  Failed to fetch SignalK devices:', error.message);
-        resolve(); // Don't fail startup if API is unavailable
-      });
-    });
+  /**
+   * Refresh the registry when a delta comes from a source it doesn't know (e.g., a device just
+   * added to the bus), at most once per source and every minRefreshInterval seconds
+   * @param {string} sourceId - Source ID from a delta
+   */
+  checkSource(sourceId) {
+    if (this.devices.has(sourceId) || this.unknownSources.has(sourceId) || this.fetching) {
+      return;
+    }
+    if (Date.now() - this.lastFetch < this.minRefreshInterval * 1000) {
+      return;
+    }
+    this.unknownSources.add(sourceId);
+    console.log(`📋 Unknown source ${sourceId} - refreshing devices`);
+    this.fetchDevices();
   }
 
   /**
-   * Parse device information from SignalK sources API response
+   * Parse device information from the SignalK sources tree
+   * Walks every provider: NMEA 2000 devices (by address, whatever the provider is called), NMEA 0183
+   * connections (with their talkers and sentences) and other sources such as plugins
    * @param {Object} sources - Sources object from SignalK API
+   * @returns {Map} - Source ID -> device information
    */
   parseDevices(sources) {
-    const n2kOutput = sources['n2k-output'];
-    if (!n2kOutput) {
-      console.warn('⚠️  No n2k-output found in SignalK sources');
-      return;
+    const devices = new Map();
+
+    for (const [label, provider] of Object.entries(sources || {})) {
+      if (!provider || typeof provider !== 'object') {
+        continue;
+      }
+
+      const talkers = {};
+      for (const [key, entry] of Object.entries(provider)) {
+        if (!entry || typeof entry !== 'object') {
+          continue;
+        }
+        if (entry.n2k) {
+          const deviceInfo = this.parseN2kDevice(key, entry.n2k, label);
+          if (devices.has(key)) {
+            console.warn(`⚠️  Address ${key} is used on ${devices.get(key).provider} and ${label} - using ${devices.get(key).provider}`);
+            continue;
+          }
+          devices.set(key, deviceInfo);
+        } else if (entry.talker || entry.sentences) {
+          talkers[entry.talker || key] = Object.keys(entry.sentences || {});
+        }
+      }
+
+      // NMEA 0183 connections and plugins send deltas under their label
+      if (devices.has(label)) {
+        continue;
+      }
+      if (Object.keys(talkers).length > 0 || provider.type === 'NMEA0183') {
+        devices.set(label, this.parseNmea0183Source(label, talkers));
+      } else if (![...devices.values()].some(device => device.provider === label)) {
+        devices.set(label, {
+          sourceId: label,
+          provider: label,
+          name: label,
+          manufacturer: 'SignalK',
+          model: provider.type || 'SignalK Source',
+        });
+      }
+    }
+
+    return devices;
+  }
+
+  /**
+   * Parse an NMEA 2000 device
+   * @param {string} sourceId - N2K source address
+   * @param {Object} n2k - n2k object from the sources tree
+   * @param {string} provider - Provider label (e.g., "can0")
+   * @returns {Object} - Device information
+   */
+  parseN2kDevice(sourceId, n2k, provider) {
+    const deviceInfo = {
+      sourceId: sourceId,
+      provider,
+      n2k: true,
+      manufacturer: n2k.manufacturerCode || n2k['Manufacturer Code'] || 'Unknown',
+      model: n2k.modelId || n2k['Model ID'] || 'Unknown Device',
+      deviceClass: n2k.deviceClass || n2k['Device Class'] || '',
+      serialNumber: n2k.modelSerialCode || n2k['Model Serial Code'] || '',
+      softwareVersion: n2k.softwareVersionCode || n2k['Software Version Code'] || '',
+      hardwareVersion: n2k.modelVersion || n2k['Model Version'] || '',
+      productCode: n2k.productCode || n2k['Product Code'] || '',
+      canName: n2k.canName || '',
+      uniqueNumber: n2k.uniqueNumber ?? n2k['Unique Number'] ?? '',
+      deviceFunction: n2k.deviceFunction ?? n2k['Device Function'] ?? '',
+      deviceInstance: n2k.deviceInstance ?? n2k['Device Instance'] ?? '',
+    };
+    deviceInfo.identity = this.getIdentity(deviceInfo);
+    // Identity used before device function and instance were part of it (keeps the device ID on upgrade)
+    if (!deviceInfo.canName && deviceInfo.identity) {
+      deviceInfo.previousIdentity = this.toIdentity(`${deviceInfo.manufacturer}_${deviceInfo.uniqueNumber}`);
+    }
+    return deviceInfo;
+  }
+
+  /**
+   * Describe an NMEA 0183 connection by its talkers
+   * @param {string} label - Connection label (e.g., "nmea0183", "gps")
+   * @param {Object} talkers - Talker ID -> sentences (e.g., { GP: ["RMC", "GGA"] })
+   * @returns {Object} - Device information
+   */
+  parseNmea0183Source(label, talkers) {
+    const talkerIds = Object.keys(talkers).sort();
+    return {
+      sourceId: label,
+      provider: label,
+      name: label,
+      manufacturer: 'NMEA 0183',
+      model: talkerIds.length > 0
+        ? talkerIds.map(talker => (TALKERS[talker] ? `${TALKERS[talker]} (${talker})` : talker)).join(', ')
+        : 'NMEA 0183 Device',
+      talkers,
+    };
+  }
+
+  /**
+   * Log a device
+   * @param {Object} deviceInfo - Device information
+   */
+  logDevice(deviceInfo) {
+    console.log(`  ↳ Source ${deviceInfo.sourceId}: ${deviceInfo.manufacturer} ${deviceInfo.model}`);
+  }
+
+  /**
+   * Get the stable identity of a device: its CAN NAME, or manufacturer, unique number, device function
+   * and device instance (all survive address changes; a multi-function unit reports one unique number
+   * for each of its functions)
+   * @param {Object} deviceInfo - Parsed device information
+   * @returns {string|null} - Identity, or null if the device doesn't report one
+   */
+  getIdentity(deviceInfo) {
+    if (deviceInfo.canName) {
+      return String(deviceInfo.canName).toLowerCase();
+    }
+    if (deviceInfo.uniqueNumber !== '' && deviceInfo.manufacturer !== 'Unknown') {
+      const { manufacturer, uniqueNumber, deviceFunction, deviceInstance } = deviceInfo;
+      return this.toIdentity(`${manufacturer}_${uniqueNumber}_${deviceFunction}_${deviceInstance}`);
+    }
+    return null;
+  }
+
+  /**
+   * Turn identifying fields into an identity usable in device IDs
+   * @param {string} key - e.g., "Garmin_123456_130_0"
+   * @returns {string} - e.g., "garmin_123456_130_0"
+   */
+  toIdentity(key) {
+    return key.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+  }
+
+  /**
+   * Update the address -> identity map from the loaded devices and assign device IDs to new identities
+   * The first time, every device keeps the address-based ID its entities already have (migration);
+   * devices seen later get an ID from their identity
+   */
+  updateIdentities() {
+    const state = this.identityState;
+    let changed = false;
+
+    for (const [address, device] of this.devices) {
+      if (!device.identity) {
+        // The address now belongs to a device without identity - don't attribute it to the previous one
+        if (state.addresses[address] !== undefined) {
+          delete state.addresses[address];
+          changed = true;
+        }
+        continue;
+      }
+      changed = this.updateAddress(address, device.identity, !state.migrated, device.previousIdentity) || changed;
+    }
+
+    if (!state.migrated && this.devices.size > 0) {
+      state.migrated = true;
+      changed = true;
+      console.log(`📋 Device identities set up - ${Object.keys(state.identities).length} existing devices keep their IDs`);
+    }
+
+    if (changed) {
+      this.stateStore.save(STATE_FILE, state);
+    }
+  }
+
+  /**
+   * Record which device (identity) uses an address
+   * @param {string} address - N2K source address
+   * @param {string} identity - Device identity
+   * @param {boolean} keepLegacyId - Give a new identity the address-based ID (migration)
+   * @param {string} previousIdentity - Identity the device had in earlier versions (optional)
+   * @returns {boolean} - True if the map changed
+   */
+  updateAddress(address, identity, keepLegacyId = false, previousIdentity = undefined) {
+    const state = this.identityState;
+    let changed = false;
+
+    // The device at the address the previous identity last used keeps its device ID
+    if (!state.identities[identity] && previousIdentity && state.identities[previousIdentity] && state.addresses[address] === previousIdentity) {
+      state.identities[identity] = state.identities[previousIdentity];
+      delete state.identities[previousIdentity];
+      delete state.addresses[address];
+      changed = true;
     }
 
-    for (const [sourceId, sourceData] of Object.entries(n2kOutput)) {
-      if (sourceData.n2k) {
-        const n2k = sourceData.n2k;
-        const deviceInfo = {
-          sourceId: sourceId,
-          manufacturer: n2k.manufacturerCode || n2k['Manufacturer Code'] || 'Unknown',
-          model: n2k.modelId || n2k['Model ID'] || 'Unknown Device',
-          deviceClass: n2k.deviceClass || n2k['Device Class'] || '',
-          serialNumber: n2k.modelSerialCode || n2k['Model Serial Code'] || '',
-          softwareVersion: n2k.softwareVersionCode || n2k['Software Version Code'] || '',
-          productCode: n2k.productCode || n2k['Product Code'] || '',
-        };
-
-        this.devices.set(sourceId, deviceInfo);
-        console.log(`  ↳ Source ${sourceId}: ${deviceInfo.manufacturer} ${deviceInfo.model}`);
+    if (!state.identities[identity]) {
+      const legacyId = `n2k_src_${address}`;
+      const legacyTaken = Object.values(state.identities).includes(legacyId);
+      state.identities[identity] = keepLegacyId && !legacyTaken ? legacyId : `n2k_${identity}`;
+      changed = true;
+    }
+
+    if (state.addresses[address] !== identity) {
+      const previousAddress = Object.keys(state.addresses).find(key => state.addresses[key] === identity);
+      if (previousAddress !== undefined) {
+        delete state.addresses[previousAddress];
+        console.log(`🔀 Device ${state.identities[identity]} moved from address ${previousAddress} to ${address}`);
       }
+      state.addresses[address] = identity;
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Follow address changes between registry loads (SignalK includes the CAN NAME in N2K delta sources)
+   * @param {string} sourceId - N2K source address
+   * @param {string} canName - CAN NAME from the delta source
+   */
+  observeSource(sourceId, canName) {
+    // Before the first registry load the migration hasn't assigned the existing IDs yet
+    if (!canName || !this.identityState.migrated) {
+      return;
+    }
+    if (this.updateAddress(sourceId, String(canName).toLowerCase())) {
+      this.stateStore.save(STATE_FILE, this.identityState);
     }
   }
 
+  /**
+   * Get the Home Assistant device ID for a source address
+   * @param {string} sourceId - N2K source address
+   * @returns {string|null} - Device ID, or null if the address has no known identity
+   */
+  getDeviceId(sourceId) {
+    const identity = this.identityState.addresses[sourceId];
+    return identity ? this.identityState.identities[identity] || null : null;
+  }
+
   /**
    * Get device information for a specific N2K source
    * @param {string} sourceId - N2K source ID
@@ -88,6 +372,14 @@ class DeviceRegistry {
     return this.devices.get(sourceId.toString()) || null;
   }
 
+  /**
+   * Count the NMEA 2000 devices (not NMEA 0183 connections or plugins)
+   * @returns {number}
+   */
+  getN2kDeviceCount() {
+    return [...this.devices.values()].filter(device => device.n2k).length;
+  }
+
   /**
    * Get manufacturer name for a specific N2K source
    * @param {string} sourceId - N2K source ID
@@ -108,6 +400,22 @@ class DeviceRegistry {
     return device ? device.model : 'NMEA 2000 Device';
   }
 
+  /**
+   * Get the SignalK admin UI page of a source: its connection, or its plugin's settings
+   * @param {string} sourceId - Source ID
+   * @returns {string|null} - URL, or null for unknown sources
+   */
+  getConfigurationUrl(sourceId) {
+    const device = this.getDevice(sourceId);
+    if (!device || !this.http) {
+      return null;
+    }
+    // The SignalK host the bridge uses may not be reachable from the browser (e.g., an add-on hostname)
+    const baseUrl = (this.config.signalk.adminUrl || this.http.getBaseUrl()).replace(/\/+$/, '');
+    const page = device.manufacturer === 'SignalK' ? 'plugins' : 'connections';
+    return `${baseUrl}/admin/#/serverConfiguration/${page}/${encodeURIComponent(device.provider)}`;
+  }
+
   /**
    * Get friendly device name combining manufacturer and model
    * @param {string} sourceId - N2K source ID
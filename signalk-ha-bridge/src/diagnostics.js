@@ -0,0 +1,228 @@
+const { version } = require('../package.json');
+
+class Diagnostics {
+  constructor(config, haDiscovery, commandHandler, mqttClient, availability, deviceRegistry, deltaPipeline) {
+    this.config = config;
+    this.haDiscovery = haDiscovery;
+    this.commandHandler = commandHandler;
+    this.mqttClient = mqttClient;
+    this.availability = availability;
+    this.deviceRegistry = deviceRegistry;
+    this.deltaPipeline = deltaPipeline;
+
+    const diagnosticsConfig = config.diagnostics || {};
+    this.enabled = diagnosticsConfig.enabled !== false;
+    // How often the statistics are published (seconds)
+    this.interval = (diagnosticsConfig.interval ?? 30) * 1000;
+
+    this.startedAt = new Date();
+    // Counts since the last statistics update
+    this.deltas = 0;
+    this.lastUpdate = Date.now();
+    this.lastPublished = 0;
+    this.lastError = null;
+
+    // Entities are published on the first MQTT connection (entity key -> entity)
+    this.entities = null;
+    this.timer = null;
+  }
+
+  /**
+   * Publish the hub device entities (once) and start publishing statistics
+   */
+  start() {
+    if (!this.enabled) {
+      return;
+    }
+    this.publishDiscovery();
+    this.update();
+    if (!this.timer) {
+      this.timer = setInterval(() => this.update(), this.interval);
+    }
+  }
+
+  /**
+   * Stop publishing statistics
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Count a delta message from SignalK
+   */
+  countDelta() {
+    this.deltas++;
+  }
+
+  /**
+   * Remember the latest error, shown on the hub device
+   * @param {string} message - Error message
+   */
+  recordError(message) {
+    this.lastError = { message, time: new Date().toISOString() };
+    if (this.entities && this.mqttClient.client) {
+      this.publishLastError();
+    }
+  }
+
+  /**
+   * Publish the diagnostic entities and buttons of the bridge hub device (the via_device of all other devices)
+   */
+  publishDiscovery() {
+    if (this.entities) {
+      return;
+    }
+
+    const device = this.haDiscovery.getVesselDevice();
+    // Statistics are known while the bridge runs, whether or not SignalK is connected
+    const availability = this.availability.getBridgeAvailabilityPayload();
+    const diagnostic = { entity_category: 'diagnostic', ...availability };
+
+    this.entities = {
+      // The connection sensors read the availability topics directly (the last will turns MQTT off)
+      mqtt: this.haDiscovery.publishEntity('binary_sensor', device, 'mqtt_connected', {
+        name: 'MQTT Connection',
+        device_class: 'connectivity',
+        entity_category: 'diagnostic',
+        state_topic: this.availability.getBridgeTopic(),
+        payload_on: 'online',
+        payload_off: 'offline',
+      }, { state: false, available: false }),
+      signalk: this.haDiscovery.publishEntity('binary_sensor', device, 'signalk_connected', {
+        name: 'SignalK Connection',
+        device_class: 'connectivity',
+        ...diagnostic,
+        state_topic: this.availability.getSignalKTopic(),
+        payload_on: 'online',
+        payload_off: 'offline',
+      }, { state: false }),
+      deltaRate: this.haDiscovery.publishEntity('sensor', device, 'deltas_per_second', {
+        name: 'Deltas per Second',
+        icon: 'mdi:swap-vertical',
+        unit_of_measurement: 'deltas/s',
+        state_class: 'measurement',
+        ...diagnostic,
+      }),
+      publishRate: this.haDiscovery.publishEntity('sensor', device, 'publishes_per_second', {
+        name: 'Publishes per Second',
+        icon: 'mdi:upload-network',
+        unit_of_measurement: 'msg/s',
+        state_class: 'measurement',
+        ...diagnostic,
+      }),
+      entityCount: this.haDiscovery.publishEntity('sensor', device, 'entities', {
+        name: 'Discovered Entities',
+        icon: 'mdi:format-list-bulleted',
+        state_class: 'measurement',
+        ...diagnostic,
+      }),
+      deviceCount: this.haDiscovery.publishEntity('sensor', device, 'n2k_devices', {
+        name: 'N2K Devices',
+        icon: 'mdi:lan',
+        state_class: 'measurement',
+        ...diagnostic,
+      }),
+      metaHitRate: this.haDiscovery.publishEntity('sensor', device, 'meta_cache_hit_rate', {
+        name: 'Meta Cache Hit Rate',
+        icon: 'mdi:cached',
+        unit_of_measurement: '%',
+        state_class: 'measurement',
+        ...diagnostic,
+      }),
+      lastError: this.haDiscovery.publishEntity('sensor', device, 'last_error', {
+        name: 'Last Error',
+        icon: 'mdi:alert-circle-outline',
+        ...diagnostic,
+      }, { attributes: true }),
+      uptime: this.haDiscovery.publishEntity('sensor', device, 'uptime', {
+        name: 'Uptime',
+        device_class: 'timestamp',
+        ...diagnostic,
+      }),
+      version: this.haDiscovery.publishEntity('sensor', device, 'version', {
+        name: 'Version',
+        icon: 'mdi:tag-outline',
+        ...diagnostic,
+      }),
+      rediscover: this.haDiscovery.publishEntity('button', device, 'rediscover', {
+        name: 'Rediscover',
+        icon: 'mdi:refresh',
+        entity_category: 'config',
+        ...availability,
+      }, { state: false, command: true, attributes: true }),
+      refreshDevices: this.haDiscovery.publishEntity('button', device, 'refresh_devices', {
+        name: 'Refresh Devices',
+        icon: 'mdi:devices',
+        entity_category: 'config',
+        ...availability,
+      }, { state: false, command: true, attributes: true }),
+    };
+
+    this.commandHandler.register(this.entities.rediscover.commandTopic, {
+      name: 'Rediscover',
+      attributesTopic: this.entities.rediscover.attributesTopic,
+      execute: async () => {
+        console.log('🎛️  Command: rediscover');
+        this.haDiscovery.republishAll();
+        return { state: 'COMPLETED', statusCode: 200 };
+      },
+    });
+    this.commandHandler.register(this.entities.refreshDevices.commandTopic, {
+      name: 'Refresh Devices',
+      attributesTopic: this.entities.refreshDevices.attributesTopic,
+      execute: async () => {
+        console.log('🎛️  Command: refresh devices');
+        await this.deviceRegistry.fetchDevices();
+        return { state: 'COMPLETED', statusCode: 200 };
+      },
+    });
+
+    console.log(`🔍 Discovered: Bridge diagnostics on ${device.name}`);
+  }
+
+  /**
+   * Publish the current statistics
+   */
+  update() {
+    if (!this.entities || !this.mqttClient.client) {
+      return;
+    }
+
+    const now = Date.now();
+    const seconds = Math.max((now - this.lastUpdate) / 1000, 1);
+    const published = this.mqttClient.published;
+
+    this.haDiscovery.publishState(this.entities.deltaRate.stateTopic, (this.deltas / seconds).toFixed(1));
+    this.haDiscovery.publishState(this.entities.publishRate.stateTopic, ((published - this.lastPublished) / seconds).toFixed(1));
+    this.deltas = 0;
+    this.lastPublished = published;
+    this.lastUpdate = now;
+
+    this.haDiscovery.publishState(this.entities.entityCount.stateTopic, String(this.haDiscovery.entities.size));
+    this.haDiscovery.publishState(this.entities.deviceCount.stateTopic, String(this.deviceRegistry.getN2kDeviceCount()));
+
+    const { metaHits, metaMisses } = this.deltaPipeline;
+    if (metaHits + metaMisses > 0) {
+      this.haDiscovery.publishState(this.entities.metaHitRate.stateTopic, (metaHits / (metaHits + metaMisses) * 100).toFixed(1));
+    }
+
+    this.haDiscovery.publishState(this.entities.uptime.stateTopic, this.startedAt.toISOString());
+    this.haDiscovery.publishState(this.entities.version.stateTopic, version);
+    this.publishLastError();
+  }
+
+  /**
+   * Publish the latest error (HA states are limited to 255 characters; the attributes hold all of it)
+   */
+  publishLastError() {
+    const { message, time } = this.lastError || { message: 'None', time: null };
+    this.haDiscovery.publishState(this.entities.lastError.stateTopic, message.slice(0, 255));
+    this.haDiscovery.publishState(this.entities.lastError.attributesTopic, { message, time });
+  }
+}
+
+module.exports = Diagnostics;
@@ -0,0 +1,256 @@
+const STATE_FILE = 'discovery-registry.json';
+const SAVE_INTERVAL = 60 * 1000;
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+// How long retained discovery configs are collected when the registry is seeded from the broker
+const SEED_DURATION = 10 * 1000;
+
+class DiscoveryRegistry {
+  /**
+   * @param {Object} config - App configuration
+   * @param {StateStore} stateStore - Persists the registry across restarts
+   * @param {MQTTClient} mqttClient - Publishes the removals
+   */
+  constructor(config, stateStore, mqttClient) {
+    this.config = config;
+    this.stateStore = stateStore;
+    this.mqttClient = mqttClient;
+
+    const discoveryConfig = config.discovery || {};
+    this.cleanupEnabled = discoveryConfig.cleanup !== false;
+    // Entities not published for this long are removed from Home Assistant (days, 0 disables)
+    this.maxAge = (discoveryConfig.maxAgeDays ?? 30) * 24 * 60 * 60 * 1000;
+
+    // Every discovery topic published (persisted):
+    // discovery topic -> { uniqueId, rawMode (null for entities that don't depend on the unit mode), lastSeen }
+    this.topics = {};
+    // Discovery topics published since start (their lastSeen is kept current)
+    this.live = new Set();
+    this.dirty = false;
+    this.saveTimer = null;
+    this.cleanupTimer = null;
+    // Without a state file, the registry is seeded from the retained discovery configs on the broker
+    this.needsSeed = false;
+    this.seedTopic = null;
+    this.seedTimer = null;
+    this.seeded = [];
+  }
+
+  /**
+   * Load the registry and start saving it and removing stale entities periodically
+   */
+  start() {
+    const state = this.stateStore.load(STATE_FILE);
+    this.topics = state?.topics || {};
+    // First start, or an upgrade from a version without the registry: the entities that version
+    // published are only known to the broker
+    this.needsSeed = !state;
+    this.saveTimer = setInterval(() => this.save(), SAVE_INTERVAL);
+    // Entities still in use are published again within the first cleanup interval,
+    // so stale ones are only removed from then on (also after a long time switched off)
+    this.cleanupTimer = setInterval(() => this.cleanup(true), CLEANUP_INTERVAL);
+  }
+
+  /**
+   * Collect the retained discovery configs of the bridge's devices from the broker (once, after the
+   * first MQTT connection without a state file), so entities published before are cleaned up too
+   */
+  seed() {
+    if (!this.needsSeed || !this.cleanupEnabled || this.seedTopic) {
+      return;
+    }
+    this.seedTopic = `${this.config.homeassistant.discoveryPrefix}/+/+/+/config`;
+    this.mqttClient.subscribe(this.seedTopic, { qos: 1 });
+    this.seedTimer = setTimeout(() => this.finishSeed(), SEED_DURATION);
+  }
+
+  /**
+   * Stop collecting discovery configs, work out the unit mode of the collected entities and
+   * remove those of the other unit mode
+   */
+  finishSeed() {
+    this.seedTimer = null;
+    this.mqttClient.unsubscribe(this.seedTopic);
+    this.seedTopic = null;
+    this.needsSeed = false;
+
+    // Raw mode entities end in "_raw"; an entity is a normal mode one only if it has a raw mode
+    // counterpart (otherwise it may not depend on the unit mode at all, e.g., diagnostics)
+    for (const topic of this.seeded) {
+      const entry = this.topics[topic];
+      if (entry && entry.rawMode === null && this.topics[topic.replace(/\/config$/, '_raw/config')]) {
+        entry.rawMode = false;
+      }
+    }
+    // Engine entities published before seeding finished replace the per-source ones found
+    for (const topic of this.live) {
+      this.removeSuperseded(topic);
+    }
+    if (this.seeded.length > 0) {
+      console.log(`🧹 Found ${this.seeded.length} entities published before the discovery registry existed`);
+    }
+    this.seeded = [];
+    this.dirty = true;
+    this.save();
+    this.cleanup();
+  }
+
+  /**
+   * Handle a retained discovery config while seeding
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Discovery payload
+   * @returns {boolean} - True if the message was a discovery config handled here
+   */
+  handleMessage(topic, message) {
+    if (!this.seedTopic || !topic.startsWith(`${this.config.homeassistant.discoveryPrefix}/`) || !topic.endsWith('/config')) {
+      return false;
+    }
+    if (this.topics[topic] || message.length === 0) {
+      return true;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch (error) {
+      return true;
+    }
+
+    // Entities of the bridge belong to the vessel device or a device connected through it
+    const { deviceId } = this.config.homeassistant;
+    const device = payload.device || {};
+    if (device.via_device !== deviceId && !(device.identifiers || []).includes(deviceId)) {
+      return true;
+    }
+
+    this.topics[topic] = {
+      uniqueId: payload.unique_id,
+      // Worked out when seeding finishes
+      rawMode: typeof payload.unique_id === 'string' && payload.unique_id.endsWith('_raw') ? true : null,
+      lastSeen: Date.now(),
+    };
+    this.seeded.push(topic);
+    return true;
+  }
+
+  /**
+   * Stop the timers and write the registry
+   */
+  stop() {
+    clearInterval(this.saveTimer);
+    clearInterval(this.cleanupTimer);
+    clearTimeout(this.seedTimer);
+    this.saveTimer = null;
+    this.cleanupTimer = null;
+    this.save();
+  }
+
+  /**
+   * Write the registry, with the current time as lastSeen of the entities published since start
+   * (refreshed hourly, which is plenty for an age in days)
+   */
+  save() {
+    const now = Date.now();
+    for (const topic of this.live) {
+      if (this.topics[topic] && now - this.topics[topic].lastSeen > CLEANUP_INTERVAL) {
+        this.topics[topic].lastSeen = now;
+        this.dirty = true;
+      }
+    }
+    if (this.dirty) {
+      this.stateStore.save(STATE_FILE, { topics: this.topics });
+      this.dirty = false;
+    }
+  }
+
+  /**
+   * Record a published discovery config
+   * @param {Object} entity - Published entity ({ discoveryTopic, payload })
+   * @param {boolean|null} rawMode - Unit mode the entity was published in, or null if it doesn't depend on it
+   */
+  record(entity, rawMode) {
+    this.topics[entity.discoveryTopic] = {
+      uniqueId: entity.payload.unique_id,
+      rawMode,
+      lastSeen: Date.now(),
+    };
+    this.live.add(entity.discoveryTopic);
+    this.dirty = true;
+    this.removeSuperseded(entity.discoveryTopic);
+  }
+
+  /**
+   * Remove the entities an engine entity replaces: engine paths used to be published per N2K source,
+   * now as one entity on the engine device (same object ID, different node ID)
+   * @param {string} discoveryTopic - Discovery topic of a published entity
+   */
+  removeSuperseded(discoveryTopic) {
+    const { discoveryPrefix, deviceId } = this.config.homeassistant;
+    const [, nodeId, objectId] = discoveryTopic.slice(discoveryPrefix.length + 1).split('/');
+    if (!this.cleanupEnabled || !nodeId || !nodeId.startsWith(`${deviceId}_engine_`)) {
+      return;
+    }
+
+    for (const topic of Object.keys(this.topics)) {
+      const [, otherNodeId, otherObjectId] = topic.slice(discoveryPrefix.length + 1).split('/');
+      if (otherObjectId === objectId && otherNodeId !== nodeId && !this.live.has(topic)) {
+        this.mqttClient.publish(topic, '', { qos: 1, retain: true });
+        this.forget(topic);
+        console.log(`🧹 Removed ${objectId} of ${otherNodeId} (now on the engine device)`);
+      }
+    }
+  }
+
+  /**
+   * Forget a discovery topic whose entity was removed
+   * @param {string} discoveryTopic - Discovery topic
+   */
+  forget(discoveryTopic) {
+    if (this.topics[discoveryTopic]) {
+      delete this.topics[discoveryTopic];
+      this.dirty = true;
+    }
+    this.live.delete(discoveryTopic);
+  }
+
+  /**
+   * Remove orphaned entities from Home Assistant (empty retained discovery payload):
+   * entities of the other unit mode (raw/normal) and, if requested, entities not published for maxAge
+   * @param {boolean} stale - Also remove entities not published for maxAge
+   */
+  cleanup(stale = false) {
+    if (!this.cleanupEnabled || !this.mqttClient.client) {
+      return;
+    }
+
+    const now = Date.now();
+    let otherMode = 0;
+    let expired = 0;
+
+    for (const [topic, entry] of Object.entries(this.topics)) {
+      if (this.live.has(topic)) {
+        continue;
+      }
+      if (entry.rawMode !== null && entry.rawMode !== undefined && entry.rawMode !== this.config.rawMode) {
+        otherMode++;
+      } else if (stale && this.maxAge > 0 && now - entry.lastSeen > this.maxAge) {
+        expired++;
+      } else {
+        continue;
+      }
+      this.mqttClient.publish(topic, '', { qos: 1, retain: true });
+      this.forget(topic);
+    }
+
+    if (otherMode > 0) {
+      console.log(`🧹 Removed ${otherMode} entities of the ${this.config.rawMode ? 'normal' : 'raw'} unit mode`);
+    }
+    if (expired > 0) {
+      console.log(`🧹 Removed ${expired} entities not seen for ${Math.round(this.maxAge / 86400000)} days`);
+    }
+    if (otherMode + expired > 0) {
+      this.save();
+    }
+  }
+}
+
+module.exports = DiscoveryRegistry;
@@ -0,0 +1,186 @@
+const STATE_FILE = 'energy.json';
+const ELECTRICAL_PATH = /^electrical\.([^.]+)\.([^.]+)\.(power|panelPower|voltage|current|panelVoltage|panelCurrent)$/;
+
+const META = {
+  energy: { units: 'J', description: 'Energy (integrated from power, or voltage × current)' },
+  energyCharged: { units: 'J', description: 'Energy into the battery (integrated from power, or voltage × current)' },
+  energyDischarged: { units: 'J', description: 'Energy out of the battery (integrated from power, or voltage × current)' },
+};
+
+class EnergyMeter {
+  /**
+   * @param {Object} config - App configuration
+   * @param {StateStore} stateStore - Persists the totals across restarts
+   * @param {Function} emitValue - Called with (path, value, meta) for every energy total
+   */
+  constructor(config, stateStore, emitValue) {
+    this.config = config;
+    this.stateStore = stateStore;
+    this.emitValue = emitValue;
+
+    const energyConfig = config.energy || {};
+    this.enabled = energyConfig.enabled !== false;
+    // Gaps between power samples longer than this are not integrated (seconds)
+    this.maxGap = (energyConfig.maxGap ?? 60) * 1000;
+    // How often totals are written to disk (seconds)
+    this.saveInterval = (energyConfig.saveInterval ?? 60) * 1000;
+    // SignalK defines positive battery current as flowing out; some monitors report charging as positive
+    this.chargingPositive = energyConfig.chargingPositive === true;
+
+    // Latest electrical values per device ("<kind>.<id>" -> { power, panelPower, voltage, ... : { value, received } })
+    this.devices = new Map();
+    // Last integrated power sample per device ("<kind>.<id>" -> { power, time })
+    this.lastSamples = new Map();
+    // Energy totals (output path -> J), persisted
+    this.totals = {};
+    this.dirty = false;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the persisted totals and start saving them periodically
+   */
+  start() {
+    if (!this.enabled) {
+      return;
+    }
+    this.totals = this.stateStore.load(STATE_FILE, {});
+    this.saveTimer = setInterval(() => this.save(), this.saveInterval);
+  }
+
+  /**
+   * Stop saving and write the current totals
+   */
+  stop() {
+    if (this.saveTimer) {
+      clearInterval(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.save();
+  }
+
+  /**
+   * Write the totals if they changed
+   */
+  save() {
+    if (this.dirty) {
+      this.stateStore.save(STATE_FILE, this.totals);
+      this.dirty = false;
+    }
+  }
+
+  /**
+   * Observe a SignalK value and integrate the power of its device
+   * @param {string} signalkPath - SignalK path
+   * @param {*} value - SignalK value
+   */
+  observeValue(signalkPath, value) {
+    if (!this.enabled || typeof value !== 'number' || !isFinite(value)) {
+      return;
+    }
+
+    const match = signalkPath.match(ELECTRICAL_PATH);
+    if (!match) {
+      return;
+    }
+
+    const [, kind, id, property] = match;
+    const deviceKey = `${kind}.${id}`;
+    let device = this.devices.get(deviceKey);
+    if (!device) {
+      device = {};
+      this.devices.set(deviceKey, device);
+    }
+
+    const now = Date.now();
+    device[property] = { value, received: now };
+
+    // Only values the power is taken from start a new sample (e.g., not a voltage next to a reported power)
+    const power = this.getPower(device, now);
+    if (power !== null && power.inputs.includes(property)) {
+      this.integrate(kind, deviceKey, power.value, now);
+    }
+  }
+
+  /**
+   * Get a device's power: the reported power, or voltage × current when there is none
+   * @param {Object} device - Latest electrical values
+   * @param {number} now - Current time (ms)
+   * @returns {{value: number, inputs: Array<string>}|null} - Power (W) and the properties it was
+   *   taken from, or null if unknown
+   */
+  getPower(device, now) {
+    const fresh = property => (device[property] && now - device[property].received <= this.maxGap ? device[property].value : null);
+
+    for (const property of ['power', 'panelPower']) {
+      if (fresh(property) !== null) {
+        return { value: fresh(property), inputs: [property] };
+      }
+    }
+    for (const [voltage, current] of [['voltage', 'current'], ['panelVoltage', 'panelCurrent']]) {
+      if (fresh(voltage) !== null && fresh(current) !== null) {
+        return { value: fresh(voltage) * fresh(current), inputs: [voltage, current] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Add the energy since the previous sample (trapezoidal) to the device's totals and publish them
+   * @param {string} kind - Electrical kind (e.g., "batteries", "solar")
+   * @param {string} deviceKey - "<kind>.<id>"
+   * @param {number} power - Power (W)
+   * @param {number} now - Sample time (ms)
+   */
+  integrate(kind, deviceKey, power, now) {
+    const previous = this.lastSamples.get(deviceKey);
+    this.lastSamples.set(deviceKey, { power, time: now });
+    if (!previous || now === previous.time) {
+      return;
+    }
+    // Don't guess what happened while no data arrived
+    if (now - previous.time > this.maxGap) {
+      return;
+    }
+
+    const seconds = (now - previous.time) / 1000;
+    const basePath = `electrical.${deviceKey}`;
+
+    if (kind === 'batteries') {
+      // Split into charged and discharged energy for the Energy dashboard's battery storage
+      // (both totals are published, so both entities exist from the start)
+      let positive = 0;
+      let negative = 0;
+      if (previous.power * power < 0) {
+        // The power changed sign: split the interval where the line between the samples crosses zero
+        const crossing = previous.power / (previous.power - power) * seconds;
+        const before = previous.power / 2 * crossing;
+        const after = power / 2 * (seconds - crossing);
+        positive = Math.max(before, after);
+        negative = -Math.min(before, after);
+      } else {
+        const energy = (previous.power + power) / 2 * seconds;
+        positive = Math.max(energy, 0);
+        negative = -Math.min(energy, 0);
+      }
+      this.add(`${basePath}.energyCharged`, this.chargingPositive ? positive : negative, META.energyCharged);
+      this.add(`${basePath}.energyDischarged`, this.chargingPositive ? negative : positive, META.energyDischarged);
+    } else {
+      this.add(`${basePath}.energy`, Math.abs((previous.power + power) / 2 * seconds), META.energy);
+    }
+  }
+
+  /**
+   * Add energy to a total and publish it
+   * @param {string} signalkPath - Output path
+   * @param {number} energy - Energy (J)
+   * @param {Object} meta - Output meta
+   */
+  add(signalkPath, energy, meta) {
+    this.totals[signalkPath] = (this.totals[signalkPath] || 0) + energy;
+    this.dirty = this.dirty || energy > 0;
+    this.emitValue(signalkPath, this.totals[signalkPath], meta);
+  }
+}
+
+module.exports = EnergyMeter;
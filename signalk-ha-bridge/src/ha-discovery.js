@@ -1,8 +1,36 @@
+const { version } = require('../package.json');
+
+// Home Assistant areas suggested for NMEA 2000 device classes (PGN 60928)
+const SUGGESTED_AREAS = {
+  'Safety systems': 'Safety',
+  'Electrical Distribution': 'Electrical',
+  'Electrical Generation': 'Electrical',
+  'Steering and Control surfaces': 'Steering',
+  'Propulsion': 'Propulsion',
+  'Navigation': 'Navigation',
+  'Communication': 'Communication',
+  'Instrumentation/general systems': 'Instruments',
+  'External Environment': 'Environment',
+  'Internal Environment': 'Cabin',
+  'Deck + cargo + fishing equipment systems': 'Deck',
+  'Human Interface': 'Helm',
+  'Display': 'Helm',
+  'Entertainment': 'Entertainment',
+};
+
 class HADiscovery {
-  constructor(config, mqttClient, deviceRegistry = null) {
+  constructor(config, mqttClient, deviceRegistry = null, availability = null, discoveryRegistry = null) {
     this.config = config;
     this.mqttClient = mqttClient;
     this.deviceRegistry = deviceRegistry;
+    this.availability = availability;
+    // Persistent record of every published discovery topic (for orphan cleanup)
+    this.discoveryRegistry = discoveryRegistry;
+    // Published entities (deviceId/sensorId -> { component, discoveryTopic, stateTopic, ... })
+    this.entities = new Map();
+    // Latest state/attributes payload per topic (re-sent when Home Assistant restarts)
+    this.states = new Map();
+    this.republishTimer = null;
   }
 
   /**
@@ -13,12 +41,65 @@ class HADiscovery {
    * @param {string} sourceLabel - Human-readable source label
    * @param {Object} source - Full source object from SignalK message
    * @param {Object} meta - SignalK meta object (optional, for raw mode unit labeling)
+   * @param {*} value - First SignalK value seen (used to pick the component type)
+   * @returns {Object} - Published entity ({ component, discoveryTopic, stateTopic, commandTopic, attributesTopic })
+   */
+  publishDiscovery(signalkPath, sensorConfig, sourceId, sourceLabel, source, meta = null, value = null) {
+    const entity = this.buildDiscovery(signalkPath, sensorConfig, sourceId, sourceLabel, source, meta, value);
+
+    // Publish discovery message with retain flag
+    this.mqttClient.publish(entity.discoveryTopic, entity.payload, { qos: 1, retain: true });
+    if (this.discoveryRegistry) {
+      this.discoveryRegistry.record(entity, this.config.rawMode);
+    }
+
+    this.entities.set(`${this.getEntityDeviceId(signalkPath, sourceId)}/${this.getSensorId(signalkPath)}`, entity);
+    return entity;
+  }
+
+  /**
+   * Republish a discovery message only if it changed (e.g., after a sensor mapping reload)
+   * An entity whose component changed is removed from its old topic first
+   * Takes the same arguments as publishDiscovery()
+   * @returns {Object} - The previously published entity if unchanged, otherwise the new entity
+   */
+  updateDiscovery(signalkPath, sensorConfig, sourceId, sourceLabel, source, meta = null, value = null) {
+    const previous = this.entities.get(`${this.getEntityDeviceId(signalkPath, sourceId)}/${this.getSensorId(signalkPath)}`);
+    const entity = this.buildDiscovery(signalkPath, sensorConfig, sourceId, sourceLabel, source, meta, value);
+
+    if (previous && previous.discoveryTopic === entity.discoveryTopic && JSON.stringify(previous.payload) === JSON.stringify(entity.payload)) {
+      return previous;
+    }
+
+    if (previous && previous.discoveryTopic !== entity.discoveryTopic) {
+      this.removeEntity(previous);
+    }
+    return this.publishDiscovery(signalkPath, sensorConfig, sourceId, sourceLabel, source, meta, value);
+  }
+
+  /**
+   * Build the Home Assistant MQTT Discovery message for a SignalK path (without publishing it)
+   * @param {string} signalkPath - SignalK path (e.g., "navigation.speedOverGround")
+   * @param {Object} sensorConfig - Sensor configuration from config.json
+   * @param {string} sourceId - N2K source ID (e.g., "3", "35", "43")
+   * @param {string} sourceLabel - Human-readable source label
+   * @param {Object} source - Full source object from SignalK message
+   * @param {Object} meta - SignalK meta object (optional, for raw mode unit labeling)
+   * @param {*} value - First SignalK value seen (used to pick the component type)
+   * @returns {Object} - Entity ({ component, discoveryTopic, stateTopic, commandTopic, attributesTopic, payload })
    */
-  publishDiscovery(signalkPath, sensorConfig, sourceId, sourceLabel, source, meta = null) {
+  buildDiscovery(signalkPath, sensorConfig, sourceId, sourceLabel, source, meta = null, value = null) {
     const sensorId = this.getSensorId(signalkPath);
-    const discoveryTopic = this.getDiscoveryTopic(signalkPath, sourceId);
-    const stateTopic = this.getStateTopic(signalkPath, sourceId);
-    const deviceId = this.getDeviceId(sourceId);
+    const deviceId = this.getEntityDeviceId(signalkPath, sourceId);
+    const component = this.getComponentType(signalkPath, sensorConfig, value, meta);
+    const entity = {
+      component,
+      discoveryTopic: this.getDiscoveryTopic(signalkPath, sourceId, component),
+      stateTopic: this.getStateTopic(signalkPath, sourceId, component),
+      commandTopic: null,
+      attributesTopic: null,
+    };
+    const stateTopic = entity.stateTopic;
 
     // Build entity name (add " (raw)" suffix if raw_mode is enabled)
     const entityName = this.config.rawMode
@@ -30,27 +111,32 @@ class HADiscovery {
       ? `${deviceId}_${sensorId}_raw`
       : `${deviceId}_${sensorId}`;
 
+    // Engines get one device per instance (e.g., propulsion.port.*), whichever N2K source reports them
+    const engine = this.getEngineInstance(signalkPath);
+
     const discoveryPayload = {
       name: entityName,
       unique_id: uniqueId,
       state_topic: stateTopic,
-      device: {
-        identifiers: [deviceId],
-        name: this.getDeviceName(sourceId, sourceLabel, source),
-        manufacturer: this.getDeviceManufacturer(sourceId),
-        model: this.getDeviceModel(sourceId, source),
-        via_device: this.config.homeassistant.deviceId,
-      },
+      device: engine ? this.getEngineDevice(engine) : this.getSourceDevice(sourceId, sourceLabel, source),
     };
 
     // Add device_class (only in normal mode for speed/wind/temp)
     // In raw mode, omit device_class so HA doesn't try to convert
-    if (!this.config.rawMode && sensorConfig.deviceClass) {
+    // (binary sensor and enum classes involve no unit conversion, so they are always kept)
+    if (sensorConfig.deviceClass && (!this.config.rawMode || component === 'binary_sensor' || sensorConfig.deviceClass === 'enum')) {
       discoveryPayload.device_class = sensorConfig.deviceClass;
     }
 
+    // Enum sensors list every possible state
+    if (component === 'sensor' && sensorConfig.deviceClass === 'enum') {
+      discoveryPayload.options = this.getSelectOptions(sensorConfig);
+    }
+
     // Handle unit of measurement
-    if (this.config.rawMode) {
+    if (component === 'binary_sensor') {
+      // Binary sensors have no unit (ON/OFF states)
+    } else if (this.config.rawMode) {
       // RAW MODE: Use meta.units if available, otherwise omit unit entirely
       if (meta && meta.units) {
         discoveryPayload.unit_of_measurement = meta.units;
@@ -71,8 +157,11 @@ class HADiscovery {
     }
 
     // Add state_class for numeric sensors to enable history/statistics
-    // Only add if unit exists and sensor is numeric (not position, not boolean)
-    if (sensorConfig.unit && typeof sensorConfig.unit === 'string' && !this.isComplexSensor(signalkPath)) {
+    // Only add if unit exists and sensor is numeric (not position, not boolean);
+    // counters set their own (e.g., "total_increasing" for energy, as the Energy dashboard requires)
+    if (component === 'sensor' && sensorConfig.stateClass) {
+      discoveryPayload.state_class = sensorConfig.stateClass;
+    } else if (component === 'sensor' && sensorConfig.unit && typeof sensorConfig.unit === 'string' && !this.isComplexSensor(signalkPath)) {
       discoveryPayload.state_class = 'measurement';
     }
 
@@ -82,8 +171,318 @@ class HADiscovery {
       discoveryPayload.json_attributes_topic = stateTopic;
     }
 
-    // Publish discovery message with retain flag
-    this.mqttClient.publish(discoveryTopic, discoveryPayload, { qos: 1, retain: true });
+    // Availability: bridge online AND this N2K source still sending (engine entities may be fed
+    // by several sources, so they only follow the SignalK connection)
+    // expire_after: mark the value unavailable if the path stops updating
+    if (this.availability) {
+      Object.assign(discoveryPayload, this.availability.getAvailabilityPayload(engine ? null : deviceId));
+
+      const expireAfter = this.availability.getExpireAfter(signalkPath, sensorConfig);
+      if (expireAfter && (component === 'sensor' || component === 'binary_sensor')) {
+        discoveryPayload.expire_after = expireAfter;
+      }
+    }
+
+    // Writable paths: HA sends commands, state is confirmed by the next SignalK delta
+    if (this.isControlComponent(component)) {
+      entity.commandTopic = this.getCommandTopic(signalkPath, sourceId, component);
+      entity.attributesTopic = this.getAttributesTopic(signalkPath, sourceId, component);
+      discoveryPayload.command_topic = entity.commandTopic;
+      discoveryPayload.json_attributes_topic = entity.attributesTopic;
+      this.addControlOptions(discoveryPayload, component, sensorConfig, meta);
+    }
+
+    entity.payload = discoveryPayload;
+    return entity;
+  }
+
+  /**
+   * Publish a discovery message for an entity that is not tied to a single SignalK path/source
+   * (e.g., autopilot controls)
+   * @param {string} component - HA component type
+   * @param {Object} device - HA device object (see getVesselDevice())
+   * @param {string} objectId - Entity object ID, unique within the device
+   * @param {Object} payload - Discovery payload without unique_id, device and topics
+   * @param {Object} options - { state, command, attributes } - which topics the entity uses,
+   *   { available } - false for entities without availability topics
+   * @returns {Object} - Published entity ({ component, discoveryTopic, stateTopic, commandTopic, attributesTopic })
+   */
+  publishEntity(component, device, objectId, payload, { state = true, command = false, attributes = false, available = true } = {}) {
+    const deviceId = device.identifiers[0];
+    const baseTopic = `${this.config.homeassistant.discoveryPrefix}/${component}/${deviceId}/${objectId}`;
+    const entity = {
+      component,
+      discoveryTopic: `${baseTopic}/config`,
+      stateTopic: state ? `${baseTopic}/state` : null,
+      commandTopic: command ? `${baseTopic}/set` : null,
+      attributesTopic: attributes ? `${baseTopic}/attributes` : null,
+    };
+
+    const discoveryPayload = {
+      unique_id: `${deviceId}_${objectId}`,
+      ...(this.availability && available ? this.availability.getAvailabilityPayload() : {}),
+      ...payload,
+      device,
+    };
+    if (entity.stateTopic) discoveryPayload.state_topic = entity.stateTopic;
+    if (entity.commandTopic) discoveryPayload.command_topic = entity.commandTopic;
+    if (entity.attributesTopic) discoveryPayload.json_attributes_topic = entity.attributesTopic;
+
+    entity.payload = discoveryPayload;
+    this.mqttClient.publish(entity.discoveryTopic, discoveryPayload, { qos: 1, retain: true });
+    if (this.discoveryRegistry) {
+      this.discoveryRegistry.record(entity, null);
+    }
+
+    this.entities.set(`${deviceId}/${objectId}`, entity);
+    return entity;
+  }
+
+  /**
+   * Remove an entity from Home Assistant (empty retained discovery payload)
+   * @param {Object} entity - Entity returned by publishDiscovery() or publishEntity()
+   */
+  removeEntity(entity) {
+    this.mqttClient.publish(entity.discoveryTopic, '', { qos: 1, retain: true });
+    if (this.discoveryRegistry) {
+      this.discoveryRegistry.forget(entity.discoveryTopic);
+    }
+    this.states.delete(entity.stateTopic);
+    this.states.delete(entity.attributesTopic);
+
+    for (const [key, published] of this.entities) {
+      if (published === entity) {
+        this.entities.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Publish an entity state (or JSON attributes) and remember it for republishing
+   * @param {string} topic - State or attributes topic
+   * @param {string|Object} payload - State payload
+   */
+  publishState(topic, payload) {
+    this.states.set(topic, payload);
+    this.mqttClient.publish(topic, payload);
+  }
+
+  /**
+   * Get the Home Assistant status topic (birth/last will of HA itself)
+   * @returns {string} - MQTT topic
+   */
+  getStatusTopic() {
+    return this.config.homeassistant.statusTopic || `${this.config.homeassistant.discoveryPrefix}/status`;
+  }
+
+  /**
+   * Handle a Home Assistant status message
+   * On "online" (HA restarted), re-send all discovery configs and states after a short random delay,
+   * so HA has subscribed to everything and many bridges don't flood the broker at once
+   * @param {string} status - "online" or "offline"
+   */
+  handleStatus(status) {
+    if (status !== 'online') {
+      return;
+    }
+
+    const delay = 1000 + Math.floor(Math.random() * 4000);
+    console.log(`🏠 Home Assistant is online - republishing discovery in ${(delay / 1000).toFixed(1)}s`);
+
+    if (this.republishTimer) {
+      clearTimeout(this.republishTimer);
+    }
+    this.republishTimer = setTimeout(() => {
+      this.republishTimer = null;
+      this.republishAll();
+    }, delay);
+  }
+
+  /**
+   * Re-send every discovery config, then the latest state of each entity
+   */
+  republishAll() {
+    for (const entity of this.entities.values()) {
+      this.mqttClient.publish(entity.discoveryTopic, entity.payload, { qos: 1, retain: true });
+    }
+    for (const [topic, payload] of this.states) {
+      this.mqttClient.publish(topic, payload);
+    }
+    console.log(`📤 Republished ${this.entities.size} discovery configs and ${this.states.size} states`);
+  }
+
+  /**
+   * Get the HA device of a SignalK source, with the details the device registry knows
+   * @param {string} sourceId - N2K source ID
+   * @param {string} sourceLabel - Source label from SignalK
+   * @param {Object} source - Full source object
+   * @returns {Object} - HA device object
+   */
+  getSourceDevice(sourceId, sourceLabel, source) {
+    const device = {
+      identifiers: [this.getDeviceId(sourceId)],
+      name: this.getDeviceName(sourceId, sourceLabel, source),
+      manufacturer: this.getDeviceManufacturer(sourceId),
+      model: this.getDeviceModel(sourceId, source),
+      via_device: this.config.homeassistant.deviceId,
+    };
+
+    const deviceInfo = this.deviceRegistry ? this.deviceRegistry.getDevice(sourceId) : null;
+    if (!deviceInfo) {
+      return device;
+    }
+
+    const details = {
+      model_id: deviceInfo.productCode,
+      serial_number: deviceInfo.serialNumber,
+      sw_version: deviceInfo.softwareVersion,
+      hw_version: deviceInfo.hardwareVersion,
+      suggested_area: SUGGESTED_AREAS[deviceInfo.deviceClass],
+      configuration_url: this.deviceRegistry.getConfigurationUrl(sourceId),
+    };
+    for (const [key, detail] of Object.entries(details)) {
+      // HA rejects empty strings for some of these
+      if (detail !== undefined && detail !== null && String(detail).trim() !== '') {
+        device[key] = String(detail).trim();
+      }
+    }
+    return device;
+  }
+
+  /**
+   * Get the vessel-level HA device: the bridge hub (parent of all N2K source devices via via_device)
+   * @returns {Object} - HA device object
+   */
+  getVesselDevice() {
+    return {
+      identifiers: [this.config.homeassistant.deviceId],
+      name: this.config.homeassistant.deviceName,
+      manufacturer: 'SignalK',
+      model: 'SignalK HA Bridge',
+      sw_version: version,
+    };
+  }
+
+  /**
+   * Get the device for one engine instance
+   * @param {string} instance - Engine instance from the SignalK path (e.g., "port", "main", "0")
+   * @returns {Object} - Device payload
+   */
+  getEngineDevice(instance) {
+    const name = /^\d+$/.test(instance)
+      ? `Engine ${instance}`
+      : `${instance.charAt(0).toUpperCase()}${instance.slice(1).replace(/([A-Z])/g, ' $1')} Engine`;
+    return this.getSubDevice(`engine_${instance}`, name, 'Engine');
+  }
+
+  /**
+   * Get the engine instance of a propulsion path
+   * @param {string} signalkPath - SignalK path (e.g., "propulsion.port.revolutions")
+   * @returns {string|null} - Engine instance (e.g., "port"), or null for other paths
+   */
+  getEngineInstance(signalkPath) {
+    const match = signalkPath.match(/^propulsion\.([^.]+)\./);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the device ID a path entity's unique_id and topics are built from: the engine device for
+   * engine paths (one entity per engine path, whichever N2K sources report it), otherwise the source device
+   * @param {string} signalkPath - SignalK path
+   * @param {string} sourceId - N2K source ID
+   * @returns {string} - HA device ID
+   */
+  getEntityDeviceId(signalkPath, sourceId) {
+    const engine = this.getEngineInstance(signalkPath);
+    return engine ? this.getEngineDevice(engine).identifiers[0] : this.getDeviceId(sourceId);
+  }
+
+  /**
+   * Get a vessel-level sub-device (e.g., autopilot) linked to the vessel device
+   * @param {string} suffix - Device ID suffix (e.g., "autopilot")
+   * @param {string} name - Device name suffix (e.g., "Autopilot")
+   * @param {string} model - Device model
+   * @returns {Object} - HA device object
+   */
+  getSubDevice(suffix, name, model) {
+    return {
+      identifiers: [`${this.config.homeassistant.deviceId}_${suffix}`],
+      name: `${this.config.homeassistant.deviceName} ${name}`,
+      manufacturer: 'SignalK',
+      model,
+      via_device: this.config.homeassistant.deviceId,
+    };
+  }
+
+  /**
+   * Add component-specific options for control entities (switch, number, select)
+   * @param {Object} discoveryPayload - Discovery payload to extend
+   * @param {string} component - HA component type
+   * @param {Object} sensorConfig - Sensor configuration
+   * @param {Object} meta - SignalK meta object
+   */
+  addControlOptions(discoveryPayload, component, sensorConfig, meta = null) {
+    // Sensor-only keys are rejected by HA for control platforms
+    delete discoveryPayload.suggested_display_precision;
+    if (component !== 'number') {
+      delete discoveryPayload.unit_of_measurement;
+      delete discoveryPayload.device_class;
+    }
+
+    if (component === 'number') {
+      const range = this.getNumberRange(sensorConfig, meta);
+      discoveryPayload.min = range.min;
+      discoveryPayload.max = range.max;
+      discoveryPayload.step = range.step;
+      discoveryPayload.mode = 'box';
+    } else if (component === 'select') {
+      discoveryPayload.options = this.getSelectOptions(sensorConfig, meta);
+    }
+  }
+
+  /**
+   * Get min/max/step for a number entity (in HA units)
+   * Uses config first, then SignalK meta.displayScale, then a wide default
+   * @param {Object} sensorConfig - Sensor configuration
+   * @param {Object} meta - SignalK meta object
+   * @returns {Object} - { min, max, step }
+   */
+  getNumberRange(sensorConfig, meta = null) {
+    const isAngle = sensorConfig.unit === '°';
+    let min = isAngle ? 0 : -1000000;
+    let max = isAngle ? 360 : 1000000;
+
+    // displayScale is in SignalK units, so only trust it when no conversion applies
+    const scale = meta?.displayScale;
+    if (scale && !isAngle && (this.config.rawMode || !sensorConfig.unit || sensorConfig.unit === meta.units)) {
+      if (typeof scale.lower === 'number') min = scale.lower;
+      if (typeof scale.upper === 'number') max = scale.upper;
+    }
+
+    return {
+      min: sensorConfig.min ?? min,
+      max: sensorConfig.max ?? max,
+      step: sensorConfig.step ?? (isAngle ? 1 : 0.1),
+    };
+  }
+
+  /**
+   * Get options for a select entity
+   * @param {Object} sensorConfig - Sensor configuration
+   * @param {Object} meta - SignalK meta object
+   * @returns {Array<string>} - Select options
+   */
+  getSelectOptions(sensorConfig = {}, meta = null) {
+    if (Array.isArray(sensorConfig.options)) {
+      return sensorConfig.options.map(String);
+    }
+    if (Array.isArray(meta?.enum)) {
+      return meta.enum.map(String);
+    }
+    if (Array.isArray(meta?.possibleValues)) {
+      return meta.possibleValues.map(option => String(option.value ?? option));
+    }
+    return [];
   }
 
   /**
@@ -92,7 +491,9 @@ class HADiscovery {
    * @returns {string} - Device ID
    */
   getDeviceId(sourceId) {
-    return `n2k_src_${sourceId}`;
+    // Devices with a known CAN NAME keep their ID when their address changes
+    const deviceId = this.deviceRegistry ? this.deviceRegistry.getDeviceId(sourceId) : null;
+    return deviceId || `n2k_src_${sourceId}`;
   }
 
   /**
@@ -106,6 +507,10 @@ class HADiscovery {
     // Try device registry first for best name
     if (this.deviceRegistry) {
       const device = this.deviceRegistry.getDevice(sourceId);
+      // NMEA 0183 connections and plugins are named after their label
+      if (device && device.name) {
+        return device.name;
+      }
       if (device && device.manufacturer && device.model) {
         return `${device.manufacturer} ${device.model}`;
       }
@@ -156,38 +561,131 @@ class HADiscovery {
    * Get Home Assistant discovery topic
    * @param {string} signalkPath - SignalK path
    * @param {string} sourceId - N2K source ID
+   * @param {string} component - HA component type
    * @returns {string} - Discovery topic
    */
-  getDiscoveryTopic(signalkPath, sourceId) {
-    const component = this.getComponentType(signalkPath);
-    const sensorId = this.getSensorId(signalkPath);
-    const deviceId = this.getDeviceId(sourceId);
-    return `${this.config.homeassistant.discoveryPrefix}/${component}/${deviceId}/${sensorId}/config`;
+  getDiscoveryTopic(signalkPath, sourceId, component = 'sensor') {
+    const deviceId = this.getEntityDeviceId(signalkPath, sourceId);
+    return `${this.config.homeassistant.discoveryPrefix}/${component}/${deviceId}/${this.getObjectId(signalkPath)}/config`;
   }
 
   /**
    * Get state topic for sensor
+   * Uses the component the entity was discovered as, unless one is given
    * @param {string} signalkPath - SignalK path
    * @param {string} sourceId - N2K source ID
+   * @param {string} component - HA component type (optional)
    * @returns {string} - State topic
    */
-  getStateTopic(signalkPath, sourceId) {
+  getStateTopic(signalkPath, sourceId, component = null) {
+    return `${this.getEntityBaseTopic(signalkPath, sourceId, component)}/state`;
+  }
+
+  /**
+   * Get command topic for a control entity
+   * @param {string} signalkPath - SignalK path
+   * @param {string} sourceId - N2K source ID
+   * @param {string} component - HA component type (optional)
+   * @returns {string} - Command topic
+   */
+  getCommandTopic(signalkPath, sourceId, component = null) {
+    return `${this.getEntityBaseTopic(signalkPath, sourceId, component)}/set`;
+  }
+
+  /**
+   * Get JSON attributes topic for a control entity (command status)
+   * @param {string} signalkPath - SignalK path
+   * @param {string} sourceId - N2K source ID
+   * @param {string} component - HA component type (optional)
+   * @returns {string} - Attributes topic
+   */
+  getAttributesTopic(signalkPath, sourceId, component = null) {
+    return `${this.getEntityBaseTopic(signalkPath, sourceId, component)}/attributes`;
+  }
+
+  /**
+   * Get base topic for an entity's state/command/attributes topics
+   * @param {string} signalkPath - SignalK path
+   * @param {string} sourceId - N2K source ID
+   * @param {string} component - HA component type (optional)
+   * @returns {string} - Base topic
+   */
+  getEntityBaseTopic(signalkPath, sourceId, component = null) {
     const sensorId = this.getSensorId(signalkPath);
-    const deviceId = this.getDeviceId(sourceId);
-    return `${this.config.homeassistant.discoveryPrefix}/sensor/${deviceId}/${sensorId}/state`;
+    const deviceId = this.getEntityDeviceId(signalkPath, sourceId);
+    const entity = this.entities.get(`${deviceId}/${sensorId}`);
+    const entityComponent = component || (entity ? entity.component : 'sensor');
+    return `${this.config.homeassistant.discoveryPrefix}/${entityComponent}/${deviceId}/${this.getObjectId(signalkPath)}`;
   }
 
   /**
-   * Get Home Assistant component type based on SignalK path
+   * Get the object ID of a path entity in its topics
+   * Raw mode entities get their own topics (like their own unique_id), so both unit modes
+   * never share a discovery topic and the other mode's entities can be removed
    * @param {string} signalkPath - SignalK path
-   * @returns {string} - Component type (sensor, binary_sensor, etc.)
+   * @returns {string} - Object ID (e.g., "navigation_speedoverground" or "navigation_speedoverground_raw")
    */
-  getComponentType(signalkPath) {
-    // Most marine data are sensors
-    // Could be extended for binary_sensors, switches, etc.
+  getObjectId(signalkPath) {
+    const sensorId = this.getSensorId(signalkPath);
+    return this.config.rawMode ? `${sensorId}_raw` : sensorId;
+  }
+
+  /**
+   * Get Home Assistant component type based on SignalK path, value and meta
+   * Writable paths (meta.supportsPut or "writable" in config) become control entities,
+   * read-only booleans become binary sensors
+   * @param {string} signalkPath - SignalK path
+   * @param {Object} sensorConfig - Sensor configuration
+   * @param {*} value - SignalK value
+   * @param {Object} meta - SignalK meta object
+   * @returns {string} - Component type (sensor, binary_sensor, switch, number, select)
+   */
+  getComponentType(signalkPath, sensorConfig = {}, value = null, meta = null) {
+    if (sensorConfig.component) {
+      return sensorConfig.component;
+    }
+
+    if (this.isWritable(sensorConfig, meta)) {
+      if (typeof value === 'boolean') {
+        return 'switch';
+      }
+      if (typeof value === 'number') {
+        return 'number';
+      }
+      if (typeof value === 'string' && this.getSelectOptions(sensorConfig, meta).length > 0) {
+        return 'select';
+      }
+    }
+
+    if (typeof value === 'boolean') {
+      return 'binary_sensor';
+    }
+
     return 'sensor';
   }
 
+  /**
+   * Check if a SignalK path accepts PUT requests
+   * @param {Object} sensorConfig - Sensor configuration ("writable" overrides meta)
+   * @param {Object} meta - SignalK meta object
+   * @returns {boolean}
+   */
+  isWritable(sensorConfig = {}, meta = null) {
+    if (sensorConfig.writable !== undefined) {
+      return sensorConfig.writable === true;
+    }
+    return meta?.supportsPut === true;
+  }
+
+  /**
+   * Check if a component type accepts commands from Home Assistant
+   * @param {string} component - HA component type
+   * @returns {boolean}
+   */
+  isControlComponent(component) {
+    return component === 'switch' || component === 'number' || component === 'select';
+  }
+
   /**
    * Generate sensor ID from SignalK path
    * @param {string} signalkPath - SignalK path
@@ -1,59 +1,159 @@
 require('dotenv').config();
-const fs = require('fs');
 const path = require('path');
+const { ConfigLoader, ConfigError } = require('./config-loader');
 const MQTTClient = require('./mqtt-client');
 const SignalKClient = require('./signalk-client');
+const SignalKHttp = require('./signalk-http');
+const StateStore = require('./state-store');
 const HADiscovery = require('./ha-discovery');
 const SensorConverter = require('./sensor-converter');
 const DeviceRegistry = require('./device-registry');
-
-// Load configuration
-const configPath = path.join(__dirname, '..', 'app-config.json');
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+const DeltaPipeline = require('./delta-pipeline');
+const CommandHandler = require('./command-handler');
+const Autopilot = require('./autopilot');
+const NotificationManager = require('./notifications');
+const VesselTracker = require('./vessel-tracker');
+const AisTracker = require('./ais-tracker');
+const AvailabilityMonitor = require('./availability');
+const PublishScheduler = require('./publish-scheduler');
+const PathFilter = require('./path-filter');
+const DerivedValues = require('./derived-values');
+const TankMonitor = require('./tank-monitor');
+const EnergyMeter = require('./energy-meter');
+const Diagnostics = require('./diagnostics');
+const DiscoveryRegistry = require('./discovery-registry');
+
+// Load and validate configuration (the add-on uses an editable copy in its config folder)
+const configPath = process.env.CONFIG_PATH || path.join(__dirname, '..', 'app-config.json');
+const configLoader = new ConfigLoader(configPath);
+let config;
+try {
+  config = configLoader.load();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // Override config with environment variables if provided
 if (process.env.MQTT_BROKER) config.mqtt.broker = process.env.MQTT_BROKER;
 if (process.env.MQTT_PORT) config.mqtt.port = parseInt(process.env.MQTT_PORT);
 if (process.env.MQTT_USERNAME) config.mqtt.username = process.env.MQTT_USERNAME;
 if (process.env.MQTT_PASSWORD) config.mqtt.password = process.env.MQTT_PASSWORD;
+if (process.env.MQTT_CLIENT_ID) config.mqtt.clientId = process.env.MQTT_CLIENT_ID;
+if (process.env.MQTT_CA) config.mqtt.ca = process.env.MQTT_CA;
+if (process.env.MQTT_CERT) config.mqtt.cert = process.env.MQTT_CERT;
+if (process.env.MQTT_KEY) config.mqtt.key = process.env.MQTT_KEY;
+if (process.env.MQTT_REJECT_UNAUTHORIZED) config.mqtt.rejectUnauthorized = process.env.MQTT_REJECT_UNAUTHORIZED !== 'false';
 if (process.env.SIGNALK_HOST) config.signalk.host = process.env.SIGNALK_HOST;
 if (process.env.SIGNALK_PORT) config.signalk.port = parseInt(process.env.SIGNALK_PORT);
+if (process.env.SIGNALK_SSL) config.signalk.ssl = process.env.SIGNALK_SSL === 'true';
+if (process.env.SIGNALK_REJECT_UNAUTHORIZED) config.signalk.rejectUnauthorized = process.env.SIGNALK_REJECT_UNAUTHORIZED !== 'false';
+if (process.env.SIGNALK_USERNAME) config.signalk.username = process.env.SIGNALK_USERNAME;
+if (process.env.SIGNALK_PASSWORD) config.signalk.password = process.env.SIGNALK_PASSWORD;
+if (process.env.SIGNALK_TOKEN) config.signalk.token = process.env.SIGNALK_TOKEN;
+if (process.env.SIGNALK_ACCESS_REQUEST) config.signalk.accessRequest = process.env.SIGNALK_ACCESS_REQUEST === 'true';
+if (process.env.SIGNALK_ADMIN_URL) config.signalk.adminUrl = process.env.SIGNALK_ADMIN_URL;
+if (process.env.VESSEL_ID) config.signalk.vesselId = process.env.VESSEL_ID;
+if (process.env.STATE_DIR) config.dataDir = process.env.STATE_DIR;
+if (process.env.DISCOVERY_PREFIX) config.homeassistant.discoveryPrefix = process.env.DISCOVERY_PREFIX;
+if (process.env.DEVICE_NAME) config.homeassistant.deviceName = process.env.DEVICE_NAME;
+if (process.env.DEVICE_ID) config.homeassistant.deviceId = process.env.DEVICE_ID;
 if (process.env.RAW_MODE !== undefined) config.rawMode = process.env.RAW_MODE === 'true';
 
+// Include/exclude filters (comma-separated globs)
+config.filters = config.filters || {};
+if (process.env.INCLUDE_PATHS) config.filters.include = splitList(process.env.INCLUDE_PATHS);
+if (process.env.EXCLUDE_PATHS) config.filters.exclude = splitList(process.env.EXCLUDE_PATHS);
+if (process.env.INCLUDE_SOURCES) config.filters.includeSources = splitList(process.env.INCLUDE_SOURCES);
+if (process.env.EXCLUDE_SOURCES) config.filters.excludeSources = splitList(process.env.EXCLUDE_SOURCES);
+
+// Sensor overrides from the add-on options (JSON list), merged over the bundled sensors section
+// and validated like app-config.json
+try {
+  if (process.env.SENSOR_OVERRIDES) {
+    let overrides;
+    try {
+      overrides = JSON.parse(process.env.SENSOR_OVERRIDES);
+    } catch (error) {
+      throw new ConfigError(`SENSOR_OVERRIDES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(overrides) || overrides.some(entry => !entry || typeof entry.path !== 'string')) {
+      throw new ConfigError('SENSOR_OVERRIDES must be a list of { "path", ... } entries');
+    }
+    configLoader.setSensorOverrides(overrides);
+    config.sensors = configLoader.mergeSensors(config.sensors);
+  }
+  configLoader.validate(config, 'Add-on options');
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Default raw_mode to false if not set
 if (config.rawMode === undefined) {
   config.rawMode = false;
 }
 
 console.log('🚢 N2K HA Bridge starting...');
-console.log(`📡 SignalK Server: ${config.signalk.host}:${config.signalk.port}`);
-console.log(`📡 MQTT Broker: ${config.mqtt.broker}:${config.mqtt.port}`);
+console.log(`📡 SignalK Server: ${config.signalk.ssl ? 'https' : 'http'}://${config.signalk.host}:${config.signalk.port}`);
+console.log(`🔐 SignalK Auth: ${config.signalk.token ? 'Token' : config.signalk.username ? 'Enabled (user: ' + config.signalk.username + ')' : config.signalk.accessRequest ? 'Device access request' : 'Disabled'}`);
 console.log(`🔑 MQTT Auth: ${config.mqtt.username ? 'Enabled (user: ' + config.mqtt.username + ')' : 'Disabled'}`);
 console.log(`🏠 Home Assistant Discovery: ${config.homeassistant.discoveryPrefix}`);
 console.log(`📏 Unit Mode: ${config.rawMode ? 'Raw (debug)' : 'Auto (HA unit system)'}`);
 
 // Initialize components
 const mqttClient = new MQTTClient(config);
-const signalKClient = new SignalKClient(config);
-const deviceRegistry = new DeviceRegistry(config);
-const haDiscovery = new HADiscovery(config, mqttClient, deviceRegistry);
-const sensorConverter = new SensorConverter(config);
-
-// Track discovered sensors
-const discoveredSensors = new Set();
-
-// Track last publish time for throttling (sensorKey -> timestamp)
-const lastPublishTime = new Map();
-const PUBLISH_THROTTLE_MS = 1000; // Publish max once per second per sensor
+console.log(`📡 MQTT Broker: ${mqttClient.getBrokerUrl()} (client ID: ${mqttClient.getClientId()})`);
+const stateStore = new StateStore(config);
+const signalkHttp = new SignalKHttp(config, stateStore);
+const pathFilter = new PathFilter(config);
+const signalKClient = new SignalKClient(config, signalkHttp, pathFilter);
+const deviceRegistry = new DeviceRegistry(config, signalkHttp, stateStore);
+const availability = new AvailabilityMonitor(config, mqttClient);
+const discoveryRegistry = new DiscoveryRegistry(config, stateStore, mqttClient);
+const haDiscovery = new HADiscovery(config, mqttClient, deviceRegistry, availability, discoveryRegistry);
+const sensorConverter = new SensorConverter(config, signalkHttp);
+const publishScheduler = new PublishScheduler(config, haDiscovery);
+const commandHandler = new CommandHandler(config, mqttClient, signalKClient, sensorConverter);
+const autopilot = new Autopilot(config, haDiscovery, signalKClient, commandHandler);
+const notifications = new NotificationManager(config, haDiscovery, mqttClient, signalKClient, commandHandler);
+const vesselTracker = new VesselTracker(config, haDiscovery);
+const aisTracker = new AisTracker(config, haDiscovery, signalKClient, vesselTracker);
+const deltaPipeline = new DeltaPipeline(config, sensorConverter, processValue);
+const derivedValues = new DerivedValues(config, (signalkPath, value, meta) => queueComputedValue(DERIVED_SOURCE, signalkPath, value, meta));
+const tankMonitor = new TankMonitor(config, (signalkPath, value, meta) => queueComputedValue(TANKS_SOURCE, signalkPath, value, meta));
+const energyMeter = new EnergyMeter(config, stateStore, (signalkPath, value, meta) => queueComputedValue(ENERGY_SOURCE, signalkPath, value, meta));
+const diagnostics = new Diagnostics(config, haDiscovery, commandHandler, mqttClient, availability, deviceRegistry, deltaPipeline);
+
+// Track discovered sensors (sensorKey -> published entity)
+const discoveredSensors = new Map();
+
+// Latest value and meta per sensor (sensorKey -> { item, meta }), to re-evaluate sensors when mappings change
+const lastValues = new Map();
 
 // Track if device registry is ready
 let deviceRegistryReady = false;
 
+// Own vessel context set by the user (vessel_id option or signalk.vesselId), if any
+const configuredSelfContext = config.signalk.vesselId
+  ? `vessels.${config.signalk.vesselId.replace(/^vessels\./, '')}`
+  : null;
+// Own vessel context from the SignalK hello message (e.g., "vessels.urn:mrn:signalk:uuid:..."),
+// or the configured one until the hello message arrives
+let selfContext = configuredSelfContext;
+
 // Initialize device registry
 async function initializeDeviceRegistry() {
   try {
     console.log('📋 Fetching device information from SignalK...');
     await deviceRegistry.fetchDevices();
+    deviceRegistry.start();
   } catch (error) {
     console.warn('⚠️  Could not fetch device registry from SignalK:', error.message);
     console.warn('⚠️  Continuing without device metadata...');
@@ -65,10 +165,39 @@ async function initializeDeviceRegistry() {
 // Handle MQTT connection (for Home Assistant integration)
 mqttClient.on('connected', () => {
   console.log('✅ Connected to MQTT broker (Home Assistant)');
+
+  // Replace the last will with the current availability states
+  availability.publishOnline();
+
+  // Listen for commands from Home Assistant control entities
+  commandHandler.subscribe();
+
+  // Listen for Home Assistant restarts (birth message)
+  mqttClient.subscribe(haDiscovery.getStatusTopic(), { qos: 1 });
+
+  // Bridge hub device with its diagnostics and buttons
+  diagnostics.start();
+
+  // Remove entities left over from the other unit mode (on the first start, the entities
+  // already on the broker are collected first)
+  discoveryRegistry.cleanup();
+  discoveryRegistry.seed();
+});
+
+mqttClient.on('message', (topic, message) => {
+  if (topic === haDiscovery.getStatusTopic()) {
+    haDiscovery.handleStatus(message.toString());
+    return;
+  }
+  if (discoveryRegistry.handleMessage(topic, message)) {
+    return;
+  }
+  commandHandler.handleMessage(topic, message);
 });
 
 mqttClient.on('error', (error) => {
   console.error('❌ MQTT Error:', error.message);
+  diagnostics.recordError(`MQTT: ${error.message}`);
 });
 
 mqttClient.on('reconnecting', () => {
@@ -78,19 +207,25 @@ mqttClient.on('reconnecting', () => {
 // Handle SignalK connection
 signalKClient.on('connected', async () => {
   console.log('✅ Connected to SignalK WebSocket');
+  availability.setSignalKConnected(true);
 
-  // Fetch device metadata after connection
-  await initializeDeviceRegistry();
+  // Fetch device metadata and seed the meta cache after connection
+  await Promise.all([initializeDeviceRegistry(), sensorConverter.preloadMeta()]);
 });
 
 signalKClient.on('hello', (message) => {
   console.log(`👋 SignalK Server: ${message.name || 'Unknown'} v${message.version || 'Unknown'}`);
   if (message.self) {
     console.log(`🚢 Vessel: ${message.self}`);
+    if (configuredSelfContext && message.self !== configuredSelfContext) {
+      console.warn(`⚠️  SignalK reports vessel ${message.self}, not the configured vessel ID ${config.signalk.vesselId}`);
+    }
+    selfContext = message.self;
   }
 });
 
 signalKClient.on('delta', (data) => {
+  diagnostics.countDelta();
   try {
     // Wait for device registry to load before processing deltas
     if (!deviceRegistryReady) {
@@ -104,8 +239,27 @@ signalKClient.on('delta', (data) => {
     // Extract context (vessel self identifier)
     const context = data.context || 'vessels.self';
 
+    // Until the hello message names the own vessel, a vessel context can't be told apart from
+    // an AIS target - drop those deltas rather than mistaking a target for the own vessel
+    if (context !== 'vessels.self' && !selfContext) {
+      return;
+    }
+
+    // Other vessels (AIS targets) only feed the AIS tracker
+    if (context !== 'vessels.self' && context !== selfContext) {
+      if (aisTracker.enabled) {
+        data.updates.forEach(update => {
+          (update.values || []).forEach(({ path, value }) => aisTracker.handleValue(context, path, value));
+        });
+      }
+      return;
+    }
+
     // Process each update
     data.updates.forEach(update => {
+      // Meta deltas (sendMeta=all) update the meta cache before any values use it
+      (update.meta || []).forEach(({ path, value }) => sensorConverter.applyMeta(path, value || {}));
+
       if (!update.values || update.values.length === 0) return;
 
       // Extract source information from the update
@@ -119,69 +273,256 @@ signalKClient.on('delta', (data) => {
       const sourceId = source.src || source.label || 'unknown';
       const sourceLabel = source.label || `N2K Source ${sourceId}`;
 
-      update.values.forEach(async ({ path, value, meta }) => {
-        // Expand objects into separate entities (e.g., attitude.yaw, attitude.pitch, attitude.roll)
-        const pathsToProcess = expandObjectPaths(path, value);
-
-        for (const { path: expandedPath, value: expandedValue } of pathsToProcess) {
-          // Fetch meta from SignalK REST API if not in delta
-          let metaForPath = meta;
-          if (!metaForPath || Object.keys(metaForPath).length === 0) {
-            metaForPath = await sensorConverter.fetchMeta(expandedPath);
-          }
-
-          // Get or auto-generate sensor configuration (pass meta for proper inference)
-          const sensorConfig = sensorConverter.getSensorConfig(expandedPath, expandedValue, metaForPath);
+      // Follow N2K address changes, so the device keeps its Home Assistant ID,
+      // and look up devices that appeared since the registry was loaded
+      deviceRegistry.observeSource(sourceId, source.canName);
+      deviceRegistry.checkSource(sourceId);
 
-          // Skip if explicitly disabled in config
-          if (sensorConfig.enabled === false) {
-            continue;
-          }
+      // This N2K source is still sending
+      const deviceId = haDiscovery.getDeviceId(sourceId);
+      availability.markSeen(deviceId);
 
-          // Auto-discover sensor in Home Assistant (only once per source+path combination)
-          const sensorKey = `${sourceId}_${expandedPath}`;
-          if (!discoveredSensors.has(sensorKey)) {
-            haDiscovery.publishDiscovery(expandedPath, sensorConfig, sourceId, sourceLabel, source, metaForPath);
-            discoveredSensors.add(sensorKey);
+      update.values.forEach(({ path, value, meta }) => {
+        // Feed the vessel location tracker (values are still published as sensors)
+        vesselTracker.observeValue(path, value);
 
-            // Get device info for logging
-            const deviceInfo = deviceRegistry.getDevice(sourceId);
-            const deviceName = deviceInfo
-              ? `${deviceInfo.manufacturer} ${deviceInfo.model}`
-              : sourceLabel;
+        // Autopilot paths are published as the autopilot control panel,
+        // notifications as alarms (instead of flattened string sensors)
+        if (autopilot.handleValue(path, value) || notifications.handleValue(path, value)) {
+          return;
+        }
 
-            console.log(`🔍 Discovered: ${sensorConfig.name} (${expandedPath}) on ${deviceName}`);
+        // Expand objects into separate entities (e.g., attitude.yaw, attitude.pitch, attitude.roll)
+        // and queue them in arrival order per device+path
+        for (const { path: expandedPath, value: expandedValue } of expandObjectPaths(path, value)) {
+          // Feed the derived values engine, tank monitor and energy meter
+          // (inputs are used even if their own entities are filtered out)
+          derivedValues.observeValue(expandedPath, expandedValue, sourceId, update.timestamp);
+          tankMonitor.observeValue(expandedPath, expandedValue);
+          energyMeter.observeValue(expandedPath, expandedValue);
+
+          // Include/exclude filters (paths and source labels)
+          if (!pathFilter.isAllowed(expandedPath, source)) {
+            continue;
           }
 
-          // Throttle publishing - max once per second per sensor
-          const publishKey = `${sourceId}_${expandedPath}`;
-          const now = Date.now();
-          const lastPublish = lastPublishTime.get(publishKey) || 0;
-
-          if (now - lastPublish >= PUBLISH_THROTTLE_MS) {
-            // Convert and publish sensor value (meta already fetched above)
-            const haValue = sensorConverter.convertValue(expandedPath, expandedValue, sensorConfig, metaForPath);
-            const stateTopic = haDiscovery.getStateTopic(expandedPath, sourceId);
-            mqttClient.publish(stateTopic, haValue);
-
-            lastPublishTime.set(publishKey, now);
-          }
+          deltaPipeline.push({
+            key: `${haDiscovery.getEntityDeviceId(expandedPath, sourceId)}_${expandedPath}`,
+            path: expandedPath,
+            value: expandedValue,
+            meta: expandedPath === path ? meta : undefined,
+            source,
+            sourceId,
+            sourceLabel,
+          });
         }
       });
     });
   } catch (error) {
     console.error('❌ Error processing SignalK delta:', error.message);
+    diagnostics.recordError(`Delta: ${error.message}`);
   }
 });
 
+// Values computed by the bridge appear as their own devices, like SignalK sources
+const DERIVED_SOURCE = { label: 'derived', src: 'derived', type: 'Derived values', name: 'Derived Values' };
+const TANKS_SOURCE = { label: 'tanks', src: 'tanks', type: 'Tank monitor', name: 'Tanks' };
+const ENERGY_SOURCE = { label: 'energy', src: 'energy', type: 'Energy meter', name: 'Energy' };
+
+/**
+ * Queue a value computed by the bridge (true wind, tank volumes, fuel economy, ...) like a SignalK value
+ * @param {Object} source - DERIVED_SOURCE, TANKS_SOURCE or ENERGY_SOURCE
+ * @param {string} signalkPath - Output path (e.g., "environment.wind.speedTrue")
+ * @param {number|null} value - Value in SI units (null = unknown)
+ * @param {Object} meta - Meta with the SI units
+ */
+function queueComputedValue(source, signalkPath, value, meta) {
+  if (!pathFilter.isAllowed(signalkPath, source)) {
+    return;
+  }
+
+  const deviceId = haDiscovery.getDeviceId(source.src);
+  availability.markSeen(deviceId);
+  deltaPipeline.push({
+    key: `${haDiscovery.getEntityDeviceId(signalkPath, source.src)}_${signalkPath}`,
+    path: signalkPath,
+    value,
+    meta,
+    source,
+    sourceId: source.src,
+    sourceLabel: source.name,
+  });
+}
+
+/**
+ * Discover and publish one SignalK value (called by the delta pipeline once its meta is known)
+ * @param {Object} item - { key, path, value, source, sourceId, sourceLabel }
+ * @param {Object} metaForPath - SignalK meta for the path
+ */
+function processValue(item, metaForPath) {
+  const { key: sensorKey, path: expandedPath, value: expandedValue, source, sourceId, sourceLabel } = item;
+  lastValues.set(sensorKey, { item, meta: metaForPath });
+
+  // Get or auto-generate sensor configuration (pass meta for proper inference)
+  const sensorConfig = sensorConverter.getSensorConfig(expandedPath, expandedValue, metaForPath);
+
+  // Skip if explicitly disabled in config
+  if (sensorConfig.enabled === false) {
+    return;
+  }
+
+  // Auto-discover sensor in Home Assistant (only once per source+path combination)
+  if (!discoveredSensors.has(sensorKey)) {
+    const entity = haDiscovery.publishDiscovery(expandedPath, sensorConfig, sourceId, sourceLabel, source, metaForPath, expandedValue);
+    discoveredSensors.set(sensorKey, entity);
+    registerCommand(entity, expandedPath, sensorConfig, metaForPath);
+
+    // Get device info for logging
+    const deviceInfo = deviceRegistry.getDevice(sourceId);
+    const deviceName = deviceInfo
+      ? `${deviceInfo.manufacturer} ${deviceInfo.model}`
+      : sourceLabel;
+
+    console.log(`🔍 Discovered: ${sensorConfig.name} (${expandedPath}) on ${deviceName}`);
+  }
+
+  // Publish the latest value (per-sensor minimum interval, deadband and heartbeat)
+  const haValue = sensorConverter.convertValue(expandedPath, expandedValue, sensorConfig, metaForPath);
+  const stateTopic = haDiscovery.getStateTopic(expandedPath, sourceId);
+  publishScheduler.schedule(sensorKey, stateTopic, haValue, sensorConfig, availability.getExpireAfter(expandedPath, sensorConfig));
+}
+
+/**
+ * Route HA commands for a writable path's entity to SignalK PUT
+ * @param {Object} entity - Published entity
+ * @param {string} signalkPath - SignalK path
+ * @param {Object} sensorConfig - Sensor configuration
+ * @param {Object} meta - SignalK meta for the path
+ */
+function registerCommand(entity, signalkPath, sensorConfig, meta) {
+  if (entity.commandTopic) {
+    commandHandler.registerPath(entity.commandTopic, {
+      signalkPath,
+      component: entity.component,
+      sensorConfig,
+      meta,
+      attributesTopic: entity.attributesTopic,
+    });
+  }
+}
+
+/**
+ * Apply new sensor mappings: re-evaluate every sensor seen so far and republish only the
+ * discovery configs that changed (disabled sensors are removed, newly enabled ones discovered)
+ * @param {Object} sensors - New sensors section of app-config.json
+ */
+function reloadSensorMappings(sensors) {
+  config.sensors = sensors;
+  let updated = 0;
+  let removed = 0;
+
+  for (const [sensorKey, { item, meta }] of lastValues) {
+    const sensorConfig = sensorConverter.getSensorConfig(item.path, item.value, meta);
+    const previous = discoveredSensors.get(sensorKey);
+
+    if (sensorConfig.enabled === false) {
+      if (previous) {
+        haDiscovery.removeEntity(previous);
+        if (previous.commandTopic) commandHandler.unregister(previous.commandTopic);
+        discoveredSensors.delete(sensorKey);
+        publishScheduler.forget(sensorKey);
+        removed++;
+      }
+      continue;
+    }
+
+    if (previous) {
+      const entity = haDiscovery.updateDiscovery(item.path, sensorConfig, item.sourceId, item.sourceLabel, item.source, meta, item.value);
+      if (entity === previous) {
+        continue;
+      }
+      if (previous.commandTopic && previous.commandTopic !== entity.commandTopic) {
+        commandHandler.unregister(previous.commandTopic);
+      }
+      discoveredSensors.set(sensorKey, entity);
+      registerCommand(entity, item.path, sensorConfig, meta);
+      updated++;
+    } else {
+      updated++;
+    }
+
+    // Publish the current value with the new mapping (discovers newly enabled sensors)
+    publishScheduler.forget(sensorKey);
+    processValue(item, meta);
+  }
+
+  console.log(`🔄 Sensor mappings reloaded: ${updated} updated, ${removed} removed`);
+}
+
+configLoader.on('sensors', reloadSensorMappings);
+
+/**
+ * Republish the discovery configs of devices whose SignalK information changed (name, model, firmware, ...)
+ * @param {Array<string>} sourceIds - Changed or new sources
+ */
+function refreshDevices(sourceIds) {
+  const changed = new Set(sourceIds);
+  let updated = 0;
+
+  for (const [sensorKey, { item, meta }] of lastValues) {
+    const previous = discoveredSensors.get(sensorKey);
+    if (!previous || !changed.has(item.sourceId)) {
+      continue;
+    }
+
+    const sensorConfig = sensorConverter.getSensorConfig(item.path, item.value, meta);
+    const entity = haDiscovery.updateDiscovery(item.path, sensorConfig, item.sourceId, item.sourceLabel, item.source, meta, item.value);
+    if (entity === previous) {
+      continue;
+    }
+    if (previous.commandTopic && previous.commandTopic !== entity.commandTopic) {
+      commandHandler.unregister(previous.commandTopic);
+    }
+    discoveredSensors.set(sensorKey, entity);
+    registerCommand(entity, item.path, sensorConfig, meta);
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`📋 Device information changed - ${updated} discovery configs updated`);
+  }
+}
+
+deviceRegistry.on('change', refreshDevices);
+
+// Backpressure: stop reading the SignalK stream while the pipeline catches up
+deltaPipeline.on('pause', () => signalKClient.pause());
+deltaPipeline.on('resume', () => signalKClient.resume());
+
 signalKClient.on('error', (error) => {
   console.error('❌ SignalK Error:', error.message);
+  diagnostics.recordError(`SignalK: ${error.message}`);
 });
 
 signalKClient.on('disconnected', () => {
   console.log('🔌 Disconnected from SignalK');
+  availability.setSignalKConnected(false);
+});
+
+// New token (access request approved, or re-login) or a rejected device token dropped: reconnect so the stream uses the current one
+signalkHttp.on('token', () => {
+  signalKClient.reconnect();
 });
 
+/**
+ * Split a comma-separated environment variable into a list
+ * @param {string} value - e.g., "navigation.*, environment.depth"
+ * @returns {Array<string>}
+ */
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
 /**
  * Expand object values into separate path/value pairs
  * E.g., attitude: {yaw, pitch, roll} → attitude.yaw, attitude.pitch, attitude.roll
@@ -222,19 +563,45 @@ function expandObjectPaths(path, value) {
   return [{ path, value }];
 }
 
-// Graceful shutdown
-process.on('SIGINT', () => {
+// Graceful shutdown (mark the bridge offline before leaving - the last will only fires on crashes)
+function shutdown() {
   console.log('\n🛑 Shutting down...');
-  mqttClient.disconnect();
-  process.exit(0);
-});
+  configLoader.stop();
+  aisTracker.stop();
+  deviceRegistry.stop();
+  energyMeter.stop();
+  diagnostics.stop();
+  discoveryRegistry.stop();
+  publishScheduler.stop();
+  availability.stop();
+  signalkHttp.stop();
+  availability.publishOffline();
+  mqttClient.disconnect(() => process.exit(0));
+
+  // Don't hang if the broker is unreachable
+  setTimeout(() => process.exit(0), 2000);
+}
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down...');
-  mqttClient.disconnect();
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Connect to MQTT broker and SignalK
-mqttClient.connect();
-signalKClient.connect();
+mqttClient.setLastWill(availability.getLastWill());
+try {
+  mqttClient.connect();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+availability.start();
+publishScheduler.start();
+aisTracker.start();
+energyMeter.start();
+discoveryRegistry.start();
+configLoader.watch();
+
+// Authenticate before opening the stream (falls back to anonymous access)
+signalkHttp.authenticate().then(() => signalKClient.connect());
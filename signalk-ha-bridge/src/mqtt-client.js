@@ -1,21 +1,40 @@
 const mqtt = require('mqtt');
+const fs = require('fs');
+const os = require('os');
 const EventEmitter = require('events');
+const { ConfigError } = require('./config-loader');
 
 class MQTTClient extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
     this.client = null;
+    this.will = null;
+    // Messages published since start (for the publish rate diagnostic)
+    this.published = 0;
+  }
+
+  /**
+   * Set the last will message sent by the broker if the bridge disconnects unexpectedly
+   * Must be called before connect()
+   * @param {Object} will - { topic, payload, qos, retain }
+   */
+  setLastWill(will) {
+    this.will = will;
   }
 
   connect() {
     const options = {
-      clientId: this.config.mqtt.clientId,
+      clientId: this.getClientId(),
       clean: true,
       reconnectPeriod: 5000,
       connectTimeout: 30000,
     };
 
+    if (this.will) {
+      options.will = this.will;
+    }
+
     // Add credentials if provided
     if (this.config.mqtt.username) {
       options.username = this.config.mqtt.username;
@@ -24,7 +43,9 @@ class MQTTClient extends EventEmitter {
       options.password = this.config.mqtt.password;
     }
 
-    const brokerUrl = `${this.config.mqtt.broker}:${this.config.mqtt.port}`;
+    Object.assign(options, this.getTlsOptions());
+
+    const brokerUrl = this.getBrokerUrl();
     this.client = mqtt.connect(brokerUrl, options);
 
     this.client.on('connect', () => {
@@ -48,6 +69,76 @@ class MQTTClient extends EventEmitter {
     });
   }
 
+  /**
+   * Get the MQTT client ID (must be unique per broker - a second client with the
+   * same ID disconnects the first)
+   * @returns {string} - Configured client ID, or one derived from the hostname
+   */
+  getClientId() {
+    return this.config.mqtt.clientId || `n2k-ha-bridge-${os.hostname()}`;
+  }
+
+  /**
+   * Build the broker URL from the configured broker and port
+   * Supports mqtt://, mqtts://, ws:// and wss:// (a port or WebSocket path in the broker URL wins)
+   * @returns {string} - Broker URL (e.g., "mqtts://broker.local:8883")
+   */
+  getBrokerUrl() {
+    const broker = this.config.mqtt.broker.includes('://')
+      ? this.config.mqtt.broker
+      : `mqtt://${this.config.mqtt.broker}`;
+
+    const url = new URL(broker);
+    if (!url.port && this.config.mqtt.port) {
+      url.port = String(this.config.mqtt.port);
+    }
+
+    // URL adds a trailing "/" to bare hosts - keep the path only for WebSocket brokers (e.g., "/mqtt")
+    const isWebSocket = url.protocol === 'ws:' || url.protocol === 'wss:';
+    return isWebSocket ? url.toString() : `${url.protocol}//${url.host}`;
+  }
+
+  /**
+   * Build TLS options (custom CA, client certificate, certificate verification)
+   * Applies to mqtts:// and wss:// brokers
+   * @returns {Object} - mqtt.js TLS options
+   * @throws {ConfigError} - If a certificate or key file can't be read
+   */
+  getTlsOptions() {
+    const { ca, cert, key, rejectUnauthorized } = this.config.mqtt;
+    const options = {};
+
+    if (ca) {
+      options.ca = this.readTlsFile('ca', ca);
+    }
+    if (cert) {
+      options.cert = this.readTlsFile('cert', cert);
+    }
+    if (key) {
+      options.key = this.readTlsFile('key', key);
+    }
+    if (rejectUnauthorized === false) {
+      options.rejectUnauthorized = false;
+    }
+
+    return options;
+  }
+
+  /**
+   * Read a certificate or key file
+   * @param {string} option - mqtt option name ("ca", "cert" or "key")
+   * @param {string} filePath - File path from the configuration
+   * @returns {Buffer} - File contents
+   * @throws {ConfigError}
+   */
+  readTlsFile(option, filePath) {
+    try {
+      return fs.readFileSync(filePath);
+    } catch (error) {
+      throw new ConfigError(`Cannot read mqtt.${option} (add-on option mqtt_${option}) "${filePath}": ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+  }
+
   subscribe(topic, options = { qos: 0 }) {
     if (!this.client) {
       throw new Error('MQTT client not connected');
@@ -60,12 +151,25 @@ class MQTTClient extends EventEmitter {
     });
   }
 
+  unsubscribe(topic) {
+    if (!this.client) {
+      return;
+    }
+
+    this.client.unsubscribe(topic, (error) => {
+      if (error) {
+        this.emit('error', error);
+      }
+    });
+  }
+
   publish(topic, payload, options = { qos: 0, retain: false }) {
     if (!this.client) {
       throw new Error('MQTT client not connected');
     }
 
     const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    this.published++;
 
     this.client.publish(topic, message, options, (error) => {
       if (error) {
@@ -74,9 +178,12 @@ class MQTTClient extends EventEmitter {
     });
   }
 
-  disconnect() {
+  disconnect(callback = undefined) {
     if (this.client) {
-      this.client.end();
+      // Flush pending messages (e.g., offline availability) before closing
+      this.client.end(false, {}, callback);
+    } else if (callback) {
+      callback();
     }
   }
 }
@@ -0,0 +1,157 @@
+// SignalK notification states, in order of severity
+const NOTIFICATION_STATES = ['normal', 'nominal', 'alert', 'warn', 'alarm', 'emergency'];
+const ACTIVE_STATES = ['alert', 'warn', 'alarm', 'emergency'];
+
+// Notifications about the safety of the vessel and crew (everything else is a "problem")
+const SAFETY_PATTERN = /^notifications\.(mob|fire|sinking|flooding|collision|grounding|listing|adrift|piracy|abandon)(\.|$)/;
+
+class NotificationManager {
+  constructor(config, haDiscovery, mqttClient, signalKClient, commandHandler) {
+    this.config = config;
+    this.haDiscovery = haDiscovery;
+    this.mqttClient = mqttClient;
+    this.signalKClient = signalKClient;
+    this.commandHandler = commandHandler;
+    this.enabled = config.notifications?.enabled !== false;
+
+    // Published entities per notification path (path -> { alarm, event, silence, acknowledge })
+    this.entities = new Map();
+    // Last notification value per path (needed to silence/acknowledge via v1 PUT)
+    this.lastValue = new Map();
+    // Last notification state per path (to detect transitions)
+    this.lastState = new Map();
+  }
+
+  /**
+   * Handle a SignalK value if it is a notification
+   * @param {string} signalkPath - SignalK path
+   * @param {*} value - Notification value ({ state, message, method, ... } or null when cleared)
+   * @returns {boolean} - True if the value was consumed (no generic sensor needed)
+   */
+  handleValue(signalkPath, value) {
+    if (!this.enabled || !signalkPath.startsWith('notifications.')) {
+      return false;
+    }
+
+    const notification = value && typeof value === 'object' ? value : {};
+    const state = NOTIFICATION_STATES.includes(notification.state) ? notification.state : 'normal';
+
+    const entities = this.publishDiscovery(signalkPath);
+    this.lastValue.set(signalkPath, notification);
+
+    this.haDiscovery.publishState(entities.alarm.stateTopic, ACTIVE_STATES.includes(state) ? 'ON' : 'OFF');
+    this.haDiscovery.publishState(entities.alarm.attributesTopic, {
+      severity: state,
+      message: notification.message || '',
+      method: notification.method || [],
+      timestamp: notification.timestamp || null,
+      path: signalkPath,
+    });
+
+    // Fire an event on every state transition
+    const previousState = this.lastState.get(signalkPath) || 'normal';
+    if (previousState !== state) {
+      this.mqttClient.publish(entities.event.stateTopic, {
+        event_type: state,
+        previous_state: previousState,
+        message: notification.message || '',
+        path: signalkPath,
+      });
+
+      const log = ACTIVE_STATES.includes(state) ? console.warn : console.log;
+      log(`🚨 Notification ${signalkPath}: ${previousState} → ${state}${notification.message ? ` (${notification.message})` : ''}`);
+    }
+    this.lastState.set(signalkPath, state);
+
+    return true;
+  }
+
+  /**
+   * Publish discovery for a notification (once per path)
+   * @param {string} signalkPath - Notification path
+   * @returns {Object} - { alarm, event, silence, acknowledge } entities
+   */
+  publishDiscovery(signalkPath) {
+    if (this.entities.has(signalkPath)) {
+      return this.entities.get(signalkPath);
+    }
+
+    const device = this.haDiscovery.getSubDevice('notifications', 'Alarms', 'SignalK Notifications');
+    const objectId = this.haDiscovery.getSensorId(signalkPath.replace(/^notifications\./, ''));
+    const name = this.getNotificationName(signalkPath);
+
+    const entities = {
+      alarm: this.haDiscovery.publishEntity('binary_sensor', device, objectId, {
+        name,
+        device_class: SAFETY_PATTERN.test(signalkPath) ? 'safety' : 'problem',
+      }, { attributes: true }),
+      event: this.haDiscovery.publishEntity('event', device, `${objectId}_event`, {
+        name: `${name} Event`,
+        event_types: NOTIFICATION_STATES,
+      }),
+      silence: this.haDiscovery.publishEntity('button', device, `${objectId}_silence`, {
+        name: `${name} Silence`,
+        icon: 'mdi:volume-off',
+      }, { state: false, command: true, attributes: true }),
+      acknowledge: this.haDiscovery.publishEntity('button', device, `${objectId}_acknowledge`, {
+        name: `${name} Acknowledge`,
+        icon: 'mdi:check-circle-outline',
+      }, { state: false, command: true, attributes: true }),
+    };
+
+    this.commandHandler.register(entities.silence.commandTopic, {
+      name: `${name} Silence`,
+      attributesTopic: entities.silence.attributesTopic,
+      execute: () => this.respond(signalkPath, 'silence'),
+    });
+    this.commandHandler.register(entities.acknowledge.commandTopic, {
+      name: `${name} Acknowledge`,
+      attributesTopic: entities.acknowledge.attributesTopic,
+      execute: () => this.respond(signalkPath, 'acknowledge'),
+    });
+
+    this.entities.set(signalkPath, entities);
+    console.log(`🔍 Discovered: ${name} notification (${signalkPath})`);
+    return entities;
+  }
+
+  /**
+   * Silence or acknowledge a notification in SignalK
+   * Uses the v2 notifications API when the notification has an id, otherwise a v1 PUT
+   * that removes "sound" (silence) or all methods (acknowledge) from the notification
+   * @param {string} signalkPath - Notification path
+   * @param {string} action - "silence" or "acknowledge"
+   * @returns {Promise<Object>} - SignalK request status
+   */
+  respond(signalkPath, action) {
+    const notification = this.lastValue.get(signalkPath) || {};
+    console.log(`🎛️  Command: ${action} ${signalkPath}`);
+
+    if (notification.id) {
+      return this.signalKClient.request('POST', `/signalk/v2/api/notifications/${encodeURIComponent(notification.id)}/${action}`);
+    }
+
+    const method = action === 'silence'
+      ? (notification.method || []).filter(m => m !== 'sound')
+      : [];
+    return this.signalKClient.put(signalkPath, { ...notification, method });
+  }
+
+  /**
+   * Generate friendly name from notification path
+   * E.g., notifications.engine.port.overheat → "Engine Port Overheat"
+   * @param {string} signalkPath - Notification path
+   * @returns {string} - Friendly name
+   */
+  getNotificationName(signalkPath) {
+    const name = signalkPath
+      .replace(/^notifications\./, '')
+      .split('.')
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .map(part => part.replace(/([a-z])([A-Z])/g, '$1 $2'))
+      .join(' ');
+    return name === 'Mob' ? 'Man Overboard' : name;
+  }
+}
+
+module.exports = NotificationManager;
@@ -0,0 +1,134 @@
+class PathFilter {
+  constructor(config) {
+    this.config = config;
+
+    const filters = config.filters || {};
+    // Include entries are globs or { path, period, minPeriod } (empty = everything)
+    this.include = (filters.include || []).map(entry => (typeof entry === 'string' ? { path: entry } : entry));
+    this.exclude = filters.exclude || [];
+    this.includeSources = filters.includeSources || [];
+    this.excludeSources = filters.excludeSources || [];
+    // Default subscription rates (ms)
+    this.period = filters.period ?? 1000;
+    this.minPeriod = filters.minPeriod ?? 200;
+
+    this.includePatterns = this.include.map(entry => this.compile(entry.path));
+    this.excludePatterns = this.exclude.map(glob => this.compile(glob));
+    this.includeSourcePatterns = this.includeSources.map(glob => this.compile(glob));
+    this.excludeSourcePatterns = this.excludeSources.map(glob => this.compile(glob));
+  }
+
+  /**
+   * Compile a glob into a regex
+   * "*" matches within one path segment, "**" across segments; a glob also matches
+   * everything below it (e.g., "navigation.attitude" matches "navigation.attitude.yaw")
+   * @param {string} glob - Glob (e.g., "electrical.batteries.*.voltage")
+   * @returns {RegExp}
+   */
+  compile(glob) {
+    const pattern = glob
+      .split('**')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*'))
+      .join('.*');
+    return new RegExp(`^${pattern}(\\..+)?$`);
+  }
+
+  /**
+   * Check if a path from a source should become a Home Assistant entity
+   * @param {string} signalkPath - SignalK path
+   * @param {Object} source - SignalK source ({ label, src })
+   * @returns {boolean}
+   */
+  isAllowed(signalkPath, source = {}) {
+    if (this.includePatterns.length > 0 && !this.includePatterns.some(regex => regex.test(signalkPath))) {
+      return false;
+    }
+    if (this.excludePatterns.some(regex => regex.test(signalkPath))) {
+      return false;
+    }
+
+    // Sources match by label (e.g., "derived-data", "can0") or label.src (e.g., "can0.35")
+    const sourceNames = [source.label, source.src && source.label ? `${source.label}.${source.src}` : null].filter(Boolean);
+    if (this.includeSourcePatterns.length > 0 && !sourceNames.some(name => this.includeSourcePatterns.some(regex => regex.test(name)))) {
+      return false;
+    }
+    return !sourceNames.some(name => this.excludeSourcePatterns.some(regex => regex.test(name)));
+  }
+
+  /**
+   * Build the SignalK subscription for own vessel data
+   * Only included paths are requested (plus the paths built-in features need), so unwanted
+   * data never leaves the SignalK server. Excludes and source filters are applied locally.
+   * @returns {Array<Object>} - Subscribe entries ({ path, period, minPeriod })
+   */
+  getSubscriptions() {
+    if (this.include.length === 0) {
+      return [{ path: '*', period: this.period, minPeriod: this.minPeriod }];
+    }
+
+    // Feature paths already covered by an include glob would be sent twice
+    const featurePaths = this.getFeaturePaths()
+      .filter(path => !this.includePatterns.some(regex => regex.test(path)))
+      .map(path => ({ path }));
+
+    const subscriptions = [];
+    for (const entry of [...this.include, ...featurePaths]) {
+      // SignalK's "*" matches across segments - the local filter narrows it down again
+      const path = entry.path.replace(/\*\*/g, '*');
+      const rates = { period: entry.period ?? this.period, minPeriod: entry.minPeriod ?? this.minPeriod };
+
+      subscriptions.push({ path, ...rates });
+      // Also request everything below the path (SignalK matches subscription paths exactly)
+      if (!path.endsWith('*')) {
+        subscriptions.push({ path: `${path}.*`, ...rates });
+      }
+    }
+    return subscriptions;
+  }
+
+  /**
+   * Paths that enabled features need regardless of the include list
+   * @returns {Array<string>} - SignalK paths
+   */
+  getFeaturePaths() {
+    const paths = [];
+    if (this.config.autopilot?.enabled !== false) {
+      paths.push('steering.autopilot');
+    }
+    if (this.config.notifications?.enabled !== false) {
+      paths.push('notifications');
+    }
+    if (this.config.vesselTracker?.enabled !== false || this.config.ais?.enabled) {
+      paths.push(
+        'navigation.position',
+        'navigation.courseOverGroundTrue',
+        'navigation.speedOverGround',
+        'navigation.headingTrue',
+        'navigation.headingMagnetic',
+        'navigation.gnss.horizontalDilution',
+      );
+    }
+    if (this.config.derived?.enabled !== false) {
+      paths.push(
+        'environment.wind.speedApparent',
+        'environment.wind.angleApparent',
+        'environment.wind.speedTrue',
+        'navigation.speedThroughWater',
+        'navigation.speedOverGround',
+        'navigation.courseOverGroundTrue',
+        'navigation.headingTrue',
+        'navigation.headingMagnetic',
+        'navigation.magneticVariation',
+      );
+    }
+    if (this.config.tanks?.enabled !== false) {
+      paths.push('tanks', 'propulsion.*.fuel.rate', 'navigation.speedOverGround');
+    }
+    if (this.config.energy?.enabled !== false) {
+      paths.push(...['power', 'panelPower', 'voltage', 'current', 'panelVoltage', 'panelCurrent'].map(name => `electrical.*.*.${name}`));
+    }
+    return [...new Set(paths)];
+  }
+}
+
+module.exports = PathFilter;
@@ -0,0 +1,179 @@
+class PublishScheduler {
+  constructor(config, haDiscovery) {
+    this.config = config;
+    this.haDiscovery = haDiscovery;
+
+    const publishConfig = config.publish || {};
+    // Default minimum time between publishes per sensor (ms)
+    this.minInterval = publishConfig.minInterval ?? 1000;
+    // Republish values suppressed by the deadband at least this often (seconds, 0 disables)
+    this.heartbeat = publishConfig.heartbeat ?? 60;
+
+    // Per-sensor publish state (key -> { stateTopic, options, latest, lastValue, lastPublish, lastReceived, timer })
+    this.entries = new Map();
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Start the heartbeat check
+   */
+  start() {
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this.checkHeartbeats(), 5000);
+    }
+  }
+
+  /**
+   * Stop the heartbeat check and pending trailing publishes
+   */
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    for (const entry of this.entries.values()) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  /**
+   * Schedule a state publish
+   * Publishes immediately when outside the sensor's minimum interval, otherwise the latest
+   * value is published when the interval ends (trailing edge), so the last value is never lost
+   * @param {string} key - Sensor key (e.g., "<deviceId>_<path>")
+   * @param {string} stateTopic - MQTT state topic
+   * @param {*} value - Converted HA value
+   * @param {Object} sensorConfig - Sensor configuration (minInterval, deadband, deadbandPercent, heartbeat)
+   * @param {number|null} expireAfter - Sensor expire_after in seconds (heartbeats stay inside it)
+   */
+  schedule(key, stateTopic, value, sensorConfig = {}, expireAfter = null) {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        stateTopic,
+        options: this.getOptions(sensorConfig, expireAfter),
+        latest: undefined,
+        lastValue: undefined,
+        lastPublish: 0,
+        lastReceived: 0,
+        timer: null,
+      };
+      this.entries.set(key, entry);
+    }
+
+    entry.latest = value;
+    entry.lastReceived = Date.now();
+
+    if (entry.timer) {
+      // A trailing publish is already scheduled and will pick up this value
+      return;
+    }
+
+    const wait = entry.lastPublish + entry.options.minInterval - Date.now();
+    if (wait <= 0) {
+      this.flush(entry);
+    } else {
+      entry.timer = setTimeout(() => {
+        entry.timer = null;
+        this.flush(entry);
+      }, wait);
+    }
+  }
+
+  /**
+   * Forget a sensor's publish state (its options are re-read on the next value, which is published immediately)
+   * @param {string} key - Sensor key
+   */
+  forget(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Publish the latest value if it moved outside the deadband
+   * @param {Object} entry - Publish state
+   * @param {boolean} force - Publish even inside the deadband (heartbeat)
+   */
+  flush(entry, force = false) {
+    if (!force && !this.exceedsDeadband(entry.lastValue, entry.latest, entry.options)) {
+      return;
+    }
+
+    this.haDiscovery.publishState(entry.stateTopic, entry.latest);
+    entry.lastValue = entry.latest;
+    entry.lastPublish = Date.now();
+  }
+
+  /**
+   * Republish values that are still being received but were held back by the deadband
+   * (values that stopped arriving are left alone so expire_after still marks them stale)
+   */
+  checkHeartbeats() {
+    const now = Date.now();
+    for (const entry of this.entries.values()) {
+      const { heartbeat } = entry.options;
+      if (heartbeat > 0 && !entry.timer && entry.lastReceived > entry.lastPublish && now - entry.lastPublish >= heartbeat) {
+        this.flush(entry, true);
+      }
+    }
+  }
+
+  /**
+   * Check if a value changed enough to be published
+   * @param {*} previous - Last published value (undefined = never published)
+   * @param {*} current - New value
+   * @param {Object} options - { deadband, deadbandPercent }
+   * @returns {boolean}
+   */
+  exceedsDeadband(previous, current, options) {
+    if (previous === undefined) {
+      return true;
+    }
+
+    // Non-numeric states (ON/OFF, enums, JSON) are published on any change
+    const previousNumber = previous === '' ? NaN : Number(previous);
+    const currentNumber = current === '' ? NaN : Number(current);
+    if (isNaN(previousNumber) || isNaN(currentNumber)) {
+      return previous !== current;
+    }
+
+    const delta = Math.abs(currentNumber - previousNumber);
+    if (delta === 0) {
+      return false;
+    }
+    if (options.deadband > 0 && delta < options.deadband) {
+      return false;
+    }
+    if (options.deadbandPercent > 0 && previousNumber !== 0 && delta / Math.abs(previousNumber) * 100 < options.deadbandPercent) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Resolve publish options for a sensor
+   * @param {Object} sensorConfig - Sensor configuration
+   * @param {number|null} expireAfter - Sensor expire_after in seconds
+   * @returns {Object} - { minInterval (ms), deadband, deadbandPercent, heartbeat (ms) }
+   */
+  getOptions(sensorConfig, expireAfter) {
+    let heartbeat = (sensorConfig.heartbeat ?? this.heartbeat) * 1000;
+    if (expireAfter) {
+      // Refresh well before HA expires the sensor
+      heartbeat = heartbeat > 0 ? Math.min(heartbeat, expireAfter * 500) : expireAfter * 500;
+    }
+
+    return {
+      minInterval: sensorConfig.minInterval ?? this.minInterval,
+      deadband: sensorConfig.deadband ?? 0,
+      deadbandPercent: sensorConfig.deadbandPercent ?? 0,
+      heartbeat,
+    };
+  }
+}
+
+module.exports = PublishScheduler;
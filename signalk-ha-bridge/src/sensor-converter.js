@@ -1,29 +1,94 @@
 class SensorConverter {
-  constructor(config) {
+  constructor(config, signalkHttp) {
     this.config = config;
+    this.http = signalkHttp;
     // Cache for temperature conversion functions per path
     this.tempTransformCache = new Map();
     // Cache for fetched meta information per path
     this.metaCache = new Map();
+    // In-flight meta lookups and tree requests (path -> Promise), so duplicates share one request
+    this.metaRequests = new Map();
+    this.nodeRequests = new Map();
 
     // Map SignalK units to Home Assistant device classes and target units
     // This is prescriptive - we trust SignalK's meta.units
+    // (covers every unit of the SignalK specification, plus a few non-spec units seen in the wild)
+    const identity = (v) => v;
     this.unitToDeviceClass = {
-      'K': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => v - 273.15 },
-      '°C': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => v },
-      'C': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => v },
-      '°F': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => (v - 32) * 5/9 },
-      'F': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => (v - 32) * 5/9 },
-      'm/s': { deviceClass: null, targetUnit: 'm/s', convert: (v) => v }, // speed or wind_speed determined by path
-      'm': { deviceClass: 'distance', targetUnit: 'm', convert: (v) => v },
-      'rad': { deviceClass: null, targetUnit: '°', convert: (v) => v * 57.29577951308232 }, // angles
-      'V': { deviceClass: 'voltage', targetUnit: 'V', convert: (v) => v },
-      'A': { deviceClass: 'current', targetUnit: 'A', convert: (v) => v },
-      'Pa': { deviceClass: 'pressure', targetUnit: 'Pa', convert: (v) => v },
+      // Temperature
+      'K': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => v - 273.15, revert: (v) => v + 273.15 },
+      '°C': { deviceClass: 'temperature', targetUnit: '°C', convert: identity, revert: identity },
+      '°F': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => (v - 32) * 5/9, revert: (v) => v * 9/5 + 32 },
+      'F': { deviceClass: 'temperature', targetUnit: '°C', convert: (v) => (v - 32) * 5/9, revert: (v) => v * 9/5 + 32 },
+
+      // Speed, distance, area, acceleration
+      'm/s': { deviceClass: null, targetUnit: 'm/s', convert: identity, revert: identity }, // speed or wind_speed determined by path
+      'm': { deviceClass: 'distance', targetUnit: 'm', convert: identity, revert: identity },
+      'm2': { deviceClass: 'area', targetUnit: 'm²', convert: identity, revert: identity },
+      'm/s2': { deviceClass: null, targetUnit: 'm/s²', convert: identity, revert: identity },
+
+      // Angles
+      'rad': { deviceClass: null, targetUnit: '°', convert: (v) => v * 57.29577951308232, revert: (v) => v / 57.29577951308232 },
+      'deg': { deviceClass: null, targetUnit: '°', convert: identity, revert: identity }, // latitude/longitude
+      'rad/s': { deviceClass: null, targetUnit: '°/s', convert: (v) => v * 57.29577951308232, revert: (v) => v / 57.29577951308232 }, // rate of turn
+      'rad/s2': { deviceClass: null, targetUnit: '°/s²', convert: (v) => v * 57.29577951308232, revert: (v) => v / 57.29577951308232 },
+
+      // Electrical ("C" is coulomb in SignalK - battery capacity - not Celsius)
+      'V': { deviceClass: 'voltage', targetUnit: 'V', convert: identity, revert: identity },
+      'A': { deviceClass: 'current', targetUnit: 'A', convert: identity, revert: identity },
+      'C': { deviceClass: null, targetUnit: 'Ah', convert: (v) => v / 3600, revert: (v) => v * 3600 },
+      'W': { deviceClass: 'power', targetUnit: 'W', convert: identity, revert: identity },
+      'J': { deviceClass: 'energy_storage', targetUnit: 'kWh', stateClass: 'measurement', convert: (v) => v / 3600000, revert: (v) => v * 3600000 }, // stored energy (battery capacity)
+      'ohm': { deviceClass: null, targetUnit: 'Ω', convert: identity, revert: identity },
+
+      // Pressure (barometric paths are converted to hPa below)
+      'Pa': { deviceClass: 'pressure', targetUnit: 'Pa', convert: identity, revert: identity },
+      'mmHg': { deviceClass: 'pressure', targetUnit: 'mmHg', convert: identity, revert: identity },
+      'Pa/s': { deviceClass: null, targetUnit: 'Pa/s', convert: identity, revert: identity },
+      'Pa.s': { deviceClass: null, targetUnit: 'Pa·s', convert: identity, revert: identity }, // viscosity
+
+      // Volume, flow, mass
+      'm3': { deviceClass: 'volume', targetUnit: 'L', convert: (v) => v * 1000, revert: (v) => v / 1000 }, // volume_storage for tanks
+      'm3/s': { deviceClass: 'volume_flow_rate', targetUnit: 'L/h', convert: (v) => v * 3600000, revert: (v) => v / 3600000 },
+      'm3/m': { deviceClass: null, targetUnit: 'L/nm', convert: (v) => v * 1852000, revert: (v) => v / 1852000 }, // fuel economy (bridge only)
+      'kg': { deviceClass: 'weight', targetUnit: 'kg', convert: identity, revert: identity },
+      'kg/s': { deviceClass: null, targetUnit: 'kg/h', convert: (v) => v * 3600, revert: (v) => v / 3600 },
+      'kg/m3': { deviceClass: null, targetUnit: 'kg/m³', convert: identity, revert: identity }, // density
+
+      // Mechanics, magnetism, light
+      'N': { deviceClass: null, targetUnit: 'N', convert: identity, revert: identity },
+      'Nm': { deviceClass: null, targetUnit: 'N·m', convert: identity, revert: identity },
+      'T': { deviceClass: null, targetUnit: 'T', convert: identity, revert: identity },
+      'Lux': { deviceClass: 'illuminance', targetUnit: 'lx', convert: identity, revert: identity },
+
+      // Time, frequency, ratios
+      's': { deviceClass: 'duration', targetUnit: 's', convert: identity, revert: identity },
+      'Hz': { deviceClass: 'frequency', targetUnit: 'Hz', convert: identity, revert: identity },
+      'ratio': { deviceClass: null, targetUnit: '%', convert: (v) => v * 100, revert: (v) => v / 100 }, // tank levels, loads
     };
 
+    // Path-specific conversions that take precedence over the unit table (same SignalK unit, different meaning)
+    this.pathUnits = [
+      { pattern: /^propulsion\.[^.]+\.revolutions$/, units: 'Hz', deviceClass: null, targetUnit: 'rpm', convert: (v) => v * 60, revert: (v) => v / 60 },
+      { pattern: /^propulsion\.[^.]+\.runTime$/, units: 's', deviceClass: 'duration', targetUnit: 'h', stateClass: 'total_increasing', convert: (v) => v / 3600, revert: (v) => v * 3600 }, // engine hours
+      { pattern: /^electrical\.[^.]+\.[^.]+\.(energy|energyCharged|energyDischarged)$/, units: 'J', deviceClass: 'energy', targetUnit: 'kWh', stateClass: 'total_increasing', convert: (v) => v / 3600000, revert: (v) => v * 3600000 }, // energy meter totals
+      { pattern: /^environment\.(outside|inside)\.pressure$/, units: 'Pa', deviceClass: 'atmospheric_pressure', targetUnit: 'hPa', convert: (v) => v / 100, revert: (v) => v * 100 }, // barometric
+    ];
+
     // Icon mapping by SignalK path patterns (still useful for UI)
     this.pathIcons = {
+      'revolutions': 'mdi:engine',
+      'runtime': 'mdi:engine-outline',
+      'oilpressure': 'mdi:oil',
+      'coolant': 'mdi:coolant-temperature',
+      'engineload': 'mdi:engine',
+      'trimstate': 'mdi:angle-acute',
+      'tanks.fuel': 'mdi:fuel',
+      'tanks': 'mdi:storage-tank',
+      'fuel': 'mdi:fuel',
+      'stateofcharge': 'mdi:battery',
+      'timeremaining': 'mdi:timer-sand',
+      'energy': 'mdi:lightning-bolt',
       'temperature': 'mdi:thermometer',
       'speedOverGround': 'mdi:speedometer',
       'speedThroughWater': 'mdi:speedometer-medium',
@@ -38,11 +103,116 @@ class SensorConverter {
       'position': 'mdi:crosshairs-gps',
       'satellites': 'mdi:satellite-variant',
     };
+
+    // SignalK string paths with a known value set (published as device_class: enum)
+    this.knownValueSets = {
+      'navigation.state': [
+        'not under command', 'anchored', 'moored', 'sailing', 'motoring', 'towing < 200m', 'towing > 200m',
+        'pushing', 'fishing', 'fishing-hampered', 'trawling', 'trawling-shooting', 'trawling-hauling',
+        'pilotage', 'not-under-way', 'aground', 'restricted manouverability',
+        'restricted manouverability towing < 200m', 'restricted manouverability towing > 200m',
+        'restricted manouverability underwater operations', 'constrained by draft', 'mine clearance',
+        'Reserved for High Speed Craft (HSC)', 'Reserved for Wing In Ground (WIG)', 'Power-driven vessel towing astern',
+        'Power-driven vessel pushing ahead or towing alongside', 'SART', 'MOB', 'EPIRB', 'default',
+      ],
+      'navigation.gnss.methodQuality': [
+        'no GPS', 'GNSS Fix', 'DGNSS fix', 'Precise GNSS', 'RTK fixed integer', 'RTK float',
+        'Estimated (DR) mode', 'Manual input', 'Simulator mode', 'Error',
+      ],
+      'navigation.gnss.integrity': ['no Integrity checking', 'Safe', 'Caution', 'Unsafe'],
+      'navigation.gnss.type': [
+        'Undefined', 'GPS', 'GLONASS', 'Combined GPS/GLONASS', 'Loran-C', 'Chayka',
+        'Integrated navigation system', 'Surveyed', 'Galileo',
+      ],
+      'environment.mode': ['day', 'night', 'restricted visibility'],
+    };
+
+    // Value sets for path patterns (e.g., one per engine)
+    this.knownValuePatterns = [
+      { pattern: /^propulsion\.[^.]+\.state$/, options: ['stopped', 'started', 'unusable'] },
+    ];
+
+    // Binary sensor device classes by SignalK path pattern (first match wins)
+    this.binaryDeviceClasses = [
+      { pattern: /bilge/i, deviceClass: 'running' },
+      { pattern: /pump/i, deviceClass: 'running' },
+      { pattern: /^electrical\.switches\./, deviceClass: 'power' },
+      { pattern: /^electrical\./, deviceClass: 'power' },
+    ];
+  }
+
+  /**
+   * Seed the meta cache from the full vessel tree (one request instead of one or two per path)
+   * @returns {Promise<void>}
+   */
+  async preloadMeta() {
+    try {
+      const tree = await this.http.getJson('/signalk/v1/api/vessels/self');
+      if (!tree) {
+        return;
+      }
+
+      const before = this.metaCache.size;
+      this.walkMetaTree(tree, '');
+      console.log(`📚 Preloaded meta for ${this.metaCache.size - before} SignalK paths`);
+    } catch (error) {
+      console.warn('⚠️  Could not preload SignalK meta:', error.message);
+    }
+  }
+
+  /**
+   * Cache meta for every leaf (node with a value) in a SignalK tree
+   * @param {Object} node - SignalK tree node
+   * @param {string} prefix - Dotted path of the node
+   */
+  walkMetaTree(node, prefix) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return;
+    }
+
+    if (prefix && 'value' in node) {
+      this.applyMeta(prefix, node.meta || {});
+      return;
+    }
+
+    for (const [key, child] of Object.entries(node)) {
+      // Skip tree metadata and values from other sources
+      if (key === 'meta' || key === 'values' || key === '$source' || key === 'timestamp') {
+        continue;
+      }
+      this.walkMetaTree(child, prefix ? `${prefix}.${key}` : key);
+    }
+  }
+
+  /**
+   * Store meta for a path (from the preload or from a meta delta sent with sendMeta=all)
+   * Object values (e.g., navigation.attitude) also cache meta for their properties (attitude.yaw, ...)
+   * @param {string} signalkPath - SignalK path
+   * @param {Object} meta - SignalK meta object
+   */
+  applyMeta(signalkPath, meta) {
+    const merged = { ...(this.metaCache.get(signalkPath) || {}), ...meta };
+    this.metaCache.set(signalkPath, merged);
+
+    if (merged.properties && typeof merged.properties === 'object') {
+      for (const [property, propertyMeta] of Object.entries(merged.properties)) {
+        this.metaCache.set(`${signalkPath}.${property}`, { ...(this.metaCache.get(`${signalkPath}.${property}`) || {}), ...propertyMeta });
+      }
+    }
+  }
+
+  /**
+   * Get cached meta without fetching
+   * @param {string} signalkPath - SignalK path
+   * @returns {Object|undefined} - Meta object, or undefined if not cached yet
+   */
+  getCachedMeta(signalkPath) {
+    return this.metaCache.get(signalkPath);
   }
 
   /**
    * Fetch meta information from SignalK REST API and cache it
-   * Handles nested properties (e.g., navigation.attitude.yaw where yaw is a property)
+   * Concurrent calls for the same path share one request
    * @param {string} signalkPath - SignalK path
    * @returns {Promise<Object>} - Meta object from SignalK
    */
@@ -52,14 +222,32 @@ class SensorConverter {
       return this.metaCache.get(signalkPath);
     }
 
-    try {
-      const host = this.config.signalk?.host || 'localhost';
-      const port = this.config.signalk?.port || 3000;
-      const url = `http://${host}:${port}/signalk/v1/api/vessels/self/${signalkPath.replace(/\./g, '/')}`;
+    if (!this.metaRequests.has(signalkPath)) {
+      const request = this.loadMeta(signalkPath).then((meta) => {
+        // A meta delta may have arrived while fetching - it wins
+        if (!this.metaCache.has(signalkPath)) {
+          this.metaCache.set(signalkPath, meta);
+        }
+        return this.metaCache.get(signalkPath);
+      }).finally(() => {
+        this.metaRequests.delete(signalkPath);
+      });
+      this.metaRequests.set(signalkPath, request);
+    }
+
+    return this.metaRequests.get(signalkPath);
+  }
 
-      const response = await fetch(url);
-      if (response.ok) {
-        const data = await response.json();
+  /**
+   * Load meta for a path from the REST API
+   * Handles nested properties (e.g., navigation.attitude.yaw where yaw is a property)
+   * @param {string} signalkPath - SignalK path
+   * @returns {Promise<Object>} - Meta object ({} if unavailable)
+   */
+  async loadMeta(signalkPath) {
+    try {
+      const data = await this.getNode(signalkPath);
+      if (data) {
         let meta = data.meta || {};
 
         // Check if meta has this as a direct property, or if we need to look in parent
@@ -70,10 +258,8 @@ class SensorConverter {
           const lastPart = parts.pop();
           const parentPath = parts.join('.');
 
-          const parentUrl = `http://${host}:${port}/signalk/v1/api/vessels/self/${parentPath.replace(/\./g, '/')}`;
-          const parentResponse = await fetch(parentUrl);
-          if (parentResponse.ok) {
-            const parentData = await parentResponse.json();
+          const parentData = await this.getNode(parentPath);
+          if (parentData) {
             const parentMeta = parentData.meta || {};
 
             // Check if parent has properties.{lastPart}
@@ -83,48 +269,74 @@ class SensorConverter {
           }
         }
 
-        this.metaCache.set(signalkPath, meta);
         return meta;
       }
     } catch (error) {
       // Silently fail - meta is optional
     }
 
-    // Return empty meta object and cache it
-    const emptyMeta = {};
-    this.metaCache.set(signalkPath, emptyMeta);
-    return emptyMeta;
+    return {};
+  }
+
+  /**
+   * GET a node of the vessel tree (concurrent requests for the same node, e.g., the
+   * parent of attitude.yaw/pitch/roll, share one request)
+   * @param {string} signalkPath - SignalK path
+   * @returns {Promise<Object|null>} - Tree node
+   */
+  getNode(signalkPath) {
+    if (!this.nodeRequests.has(signalkPath)) {
+      const request = this.http.getJson(`/signalk/v1/api/vessels/self/${signalkPath.replace(/\./g, '/')}`).finally(() => {
+        this.nodeRequests.delete(signalkPath);
+      });
+      this.nodeRequests.set(signalkPath, request);
+    }
+    return this.nodeRequests.get(signalkPath);
   }
 
   /**
    * Get sensor configuration for a given SignalK path
-   * Auto-generates config if not explicitly defined in config file
+   * Configured sensors (app-config.json and add-on overrides) only replace the fields they set:
+   * a matching wildcard entry, then the entry for the path itself, are applied over the auto-generated config
    * @param {string} signalkPath - SignalK path
    * @param {*} value - SignalK value (used to infer type)
    * @param {Object} meta - SignalK meta object (optional)
    * @returns {Object} - Sensor configuration (never null)
    */
   getSensorConfig(signalkPath, value = null, meta = null) {
-    // Check if explicitly configured in config file
-    if (this.config.sensors && this.config.sensors[signalkPath]) {
-      return this.config.sensors[signalkPath];
-    }
-
-    // Check wildcard match (e.g., "electrical.batteries.*.voltage")
+    const configured = [];
     if (this.config.sensors) {
+      // Wildcard match (e.g., "electrical.batteries.*.voltage")
       for (const [configPath, sensorConfig] of Object.entries(this.config.sensors)) {
         if (configPath.includes('*')) {
-          const pattern = configPath.replace(/\*/g, '[^.]+');
-          const regex = new RegExp(`^${pattern}$`);
-          if (regex.test(signalkPath)) {
-            return sensorConfig;
+          const pattern = configPath.replace(/\./g, '\\.').replace(/\*/g, '[^.]+');
+          if (new RegExp(`^${pattern}$`).test(signalkPath)) {
+            configured.push(sensorConfig);
+            break;
           }
         }
       }
+      if (this.config.sensors[signalkPath]) {
+        configured.push(this.config.sensors[signalkPath]);
+      }
     }
 
-    // Auto-generate configuration from path and meta
-    return this.autoGenerateConfig(signalkPath, value, meta);
+    const sensorConfig = Object.assign(this.autoGenerateConfig(signalkPath, value, meta), ...configured);
+    return configured.length > 0 ? this.withEnumOptions(signalkPath, sensorConfig, meta) : sensorConfig;
+  }
+
+  /**
+   * Fill in options for configured enum sensors that don't list them
+   * @param {string} signalkPath - SignalK path
+   * @param {Object} sensorConfig - Sensor configuration from config file
+   * @param {Object} meta - SignalK meta object
+   * @returns {Object} - Sensor configuration
+   */
+  withEnumOptions(signalkPath, sensorConfig, meta = null) {
+    if (sensorConfig.deviceClass !== 'enum' || Array.isArray(sensorConfig.options)) {
+      return sensorConfig;
+    }
+    return { ...sensorConfig, options: this.getKnownOptions(signalkPath, meta) || [] };
   }
 
   /**
@@ -139,15 +351,66 @@ class SensorConverter {
     const name = this.generateFriendlyName(signalkPath);
 
     // Infer device class and unit from meta.units
-    const { deviceClass, unit, icon } = this.inferFromMeta(signalkPath, value, meta);
+    const { deviceClass, unit, icon, stateClass } = this.inferFromMeta(signalkPath, value, meta);
 
-    return {
+    const config = {
       enabled: true,
       name: name,
       deviceClass: deviceClass,
       unit: unit,
       icon: icon
     };
+
+    // Counters (e.g., energy) need a state class other than "measurement"
+    if (stateClass) {
+      config.stateClass = stateClass;
+    }
+
+    // Booleans become binary sensors (or switches when writable)
+    if (typeof value === 'boolean') {
+      config.deviceClass = this.getBinaryDeviceClass(signalkPath);
+    }
+
+    // Strings with a known value set become enum sensors (or selects when writable)
+    const options = this.getKnownOptions(signalkPath, meta);
+    if (options && (typeof value === 'string' || value === null)) {
+      config.deviceClass = 'enum';
+      config.options = options;
+      config.unit = null;
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the binary sensor device class for a boolean SignalK path
+   * @param {string} signalkPath - SignalK path
+   * @returns {string|null} - HA binary_sensor device class
+   */
+  getBinaryDeviceClass(signalkPath) {
+    const match = this.binaryDeviceClasses.find(({ pattern }) => pattern.test(signalkPath));
+    return match ? match.deviceClass : null;
+  }
+
+  /**
+   * Get the known value set for a string SignalK path
+   * Uses SignalK meta (enum/possibleValues) first, then the built-in table
+   * @param {string} signalkPath - SignalK path
+   * @param {Object} meta - SignalK meta object
+   * @returns {Array<string>|null} - Possible values or null if unknown
+   */
+  getKnownOptions(signalkPath, meta = null) {
+    if (Array.isArray(meta?.enum) && meta.enum.length > 0) {
+      return meta.enum.map(String);
+    }
+    if (Array.isArray(meta?.possibleValues) && meta.possibleValues.length > 0) {
+      return meta.possibleValues.map(option => String(option.value ?? option));
+    }
+    if (this.knownValueSets[signalkPath]) {
+      return this.knownValueSets[signalkPath];
+    }
+    const match = this.knownValuePatterns.find(({ pattern }) => pattern.test(signalkPath));
+    return match ? match.options : null;
   }
 
   /**
@@ -159,8 +422,8 @@ class SensorConverter {
     // Convert path like "environment.water.temperature" to "Water Temperature"
     const parts = signalkPath.split('.');
 
-    // Take last 2-3 meaningful parts
-    const relevantParts = parts.slice(-2);
+    // Take last 2-3 meaningful parts (tanks keep their type and id, e.g., "Fuel 0 Current Level")
+    const relevantParts = parts[0] === 'tanks' && parts.length === 4 ? parts.slice(1) : parts.slice(-2);
 
     return relevantParts
       .map(part => part.charAt(0).toUpperCase() + part.slice(1))
@@ -180,13 +443,15 @@ class SensorConverter {
     const metaUnits = meta?.units;
     let deviceClass = null;
     let unit = null;
+    let stateClass = null;
     let icon = 'mdi:gauge';
 
     // Use meta.units to determine device class and target unit
-    if (metaUnits && this.unitToDeviceClass[metaUnits]) {
-      const mapping = this.unitToDeviceClass[metaUnits];
+    const mapping = this.getUnitMapping(signalkPath, metaUnits);
+    if (mapping) {
       deviceClass = mapping.deviceClass;
       unit = mapping.targetUnit;
+      stateClass = mapping.stateClass || null;
 
       // Special case: m/s could be speed or wind_speed
       if (metaUnits === 'm/s') {
@@ -196,6 +461,16 @@ class SensorConverter {
           deviceClass = 'speed';
         }
       }
+
+      // Tank contents are a stored volume (HA shows volume_storage as a level, not a meter reading)
+      if (metaUnits === 'm3' && signalkPath.startsWith('tanks.')) {
+        deviceClass = 'volume_storage';
+      }
+
+      // Battery state of charge (e.g., electrical.batteries.house.capacity.stateOfCharge)
+      if (metaUnits === 'ratio' && signalkPath.endsWith('stateOfCharge')) {
+        deviceClass = 'battery';
+      }
     }
 
     // Find icon based on path
@@ -211,7 +486,7 @@ class SensorConverter {
       icon = 'mdi:toggle-switch';
     }
 
-    return { deviceClass, unit, icon };
+    return { deviceClass, unit, icon, stateClass };
   }
 
   /**
@@ -248,6 +523,11 @@ class SensorConverter {
       return Number(value.toFixed(1));
     }
 
+    // 3 decimals for energy totals (Wh resolution in kWh)
+    if (sensorConfig.deviceClass === 'energy') {
+      return Number(value.toFixed(3));
+    }
+
     // 2 decimals for everything else
     return Number(value.toFixed(2));
   }
@@ -262,9 +542,9 @@ class SensorConverter {
    * @returns {string} - Converted value for HA
    */
   convertValue(signalkPath, value, sensorConfig, meta = null) {
-    // Handle null/undefined values
+    // Handle null/undefined values ("None" sets the HA state to unknown; "unknown" is an invalid number)
     if (value === null || value === undefined) {
-      return 'unknown';
+      return 'None';
     }
 
     // Handle position (lat/lon object)
@@ -276,6 +556,19 @@ class SensorConverter {
       });
     }
 
+    // Handle booleans (binary_sensor and switch payloads)
+    if (typeof value === 'boolean') {
+      return value ? 'ON' : 'OFF';
+    }
+
+    // Handle enums (HA rejects states that are not in the options list)
+    if (sensorConfig && sensorConfig.deviceClass === 'enum' && Array.isArray(sensorConfig.options)) {
+      if (!sensorConfig.options.includes(String(value))) {
+        console.warn(`⚠️  Unexpected value "${value}" for enum ${signalkPath}`);
+      }
+      return String(value);
+    }
+
     // Handle datetime/timestamp
     if (signalkPath.includes('datetime') || (sensorConfig && sensorConfig.deviceClass === 'timestamp')) {
       return new Date(value).toISOString();
@@ -285,7 +578,7 @@ class SensorConverter {
     if (typeof value === 'number') {
       // Check if NaN or non-finite
       if (!isFinite(value)) {
-        return 'unknown';
+        return 'None';
       }
 
       // RAW MODE: return exactly as received (no conversion, no rounding)
@@ -295,8 +588,8 @@ class SensorConverter {
 
       // NORMAL MODE: Apply conversions based on meta.units
       const metaUnits = meta?.units;
-      if (metaUnits && this.unitToDeviceClass[metaUnits]) {
-        const mapping = this.unitToDeviceClass[metaUnits];
+      const mapping = this.getUnitMapping(signalkPath, metaUnits);
+      if (mapping) {
         value = mapping.convert(value);
 
         // Sanity check for temperatures
@@ -317,6 +610,38 @@ class SensorConverter {
     // Handle strings and other types
     return String(value);
   }
+
+  /**
+   * Convert a Home Assistant value back to SignalK units (inverse of convertValue)
+   * Used for commands coming from HA number entities
+   * @param {string} signalkPath - SignalK path
+   * @param {number} value - Value in HA units
+   * @param {Object} meta - SignalK meta object
+   * @returns {number} - Value in SignalK units
+   */
+  revertValue(signalkPath, value, meta = null) {
+    // RAW MODE: HA already works in SignalK units
+    if (this.config.rawMode) {
+      return value;
+    }
+
+    const mapping = this.getUnitMapping(signalkPath, meta?.units);
+    return mapping ? mapping.revert(value) : value;
+  }
+
+  /**
+   * Get the conversion for a path's SignalK unit (path-specific conversions first)
+   * @param {string} signalkPath - SignalK path
+   * @param {string} metaUnits - SignalK unit from meta (e.g., "Hz")
+   * @returns {Object|null} - { deviceClass, targetUnit, stateClass, convert, revert }, or null if not converted
+   */
+  getUnitMapping(signalkPath, metaUnits) {
+    if (!metaUnits) {
+      return null;
+    }
+    const pathMapping = this.pathUnits.find(({ pattern, units }) => units === metaUnits && pattern.test(signalkPath));
+    return pathMapping || this.unitToDeviceClass[metaUnits] || null;
+  }
 }
 
 module.exports = SensorConverter;
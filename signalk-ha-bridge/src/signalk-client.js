@@ -1,35 +1,50 @@
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 
+// Paths subscribed for other vessels in AIS mode
+const AIS_PATHS = ['navigation.position', 'navigation.courseOverGroundTrue', 'navigation.speedOverGround', 'navigation.headingTrue'];
+
 class SignalKClient extends EventEmitter {
-  constructor(config) {
+  constructor(config, signalkHttp, pathFilter) {
     super();
     this.config = config;
+    // Shared authenticated HTTP layer (TLS, login token, device token)
+    this.http = signalkHttp;
+    // Include/exclude filters (decide which paths are subscribed)
+    this.pathFilter = pathFilter;
     this.ws = null;
     this.reconnectInterval = 5000;
     this.reconnectTimer = null;
     this.shouldReconnect = true;
+    // Own vessel context from the hello message
+    this.selfContext = null;
+    // Last timestamp of each own-vessel AIS path per source ("path|source" -> timestamp)
+    this.ownAisTimestamps = new Map();
   }
 
   /**
    * Connect to SignalK WebSocket stream
    */
   connect() {
-    const host = this.config.signalk.host || 'localhost';
-    const port = this.config.signalk.port || 3000;
-    // Use 'subscribe=self' to get only own vessel data
-    const wsUrl = `ws://${host}:${port}/signalk/v1/stream?subscribe=self`;
+    // Start without the default subscription - only the paths we subscribe to are sent, with their meta
+    const wsUrl = this.http.getWsUrl('/signalk/v1/stream?subscribe=none&sendMeta=all');
 
     console.log(`Connecting to SignalK WebSocket: ${wsUrl}`);
 
-    this.ws = new WebSocket(wsUrl);
+    this.ws = new WebSocket(wsUrl, this.http.getWsOptions());
 
     this.ws.on('open', () => {
       console.log('✅ Connected to SignalK WebSocket');
       this.emit('connected');
 
-      // Subscribe to only own vessel data (excludes AIS targets and other vessels)
-      this.subscribe('vessels.self.*');
+      // Subscribe to only own vessel data (excludes AIS targets and other vessels),
+      // narrowed to the included paths
+      this.subscribe(this.pathFilter.getSubscriptions(), 'vessels.self');
+
+      // Opt-in AIS mode: other vessels' navigation data (name/MMSI are looked up via REST)
+      if (this.config.ais?.enabled) {
+        this.subscribe(AIS_PATHS, 'vessels.*');
+      }
     });
 
     this.ws.on('message', (data) => {
@@ -64,34 +79,78 @@ class SignalKClient extends EventEmitter {
     // Handle different message types
     if (message.updates) {
       // This is a delta message with updates
-      this.emit('delta', message);
+      const delta = this.config.ais?.enabled ? this.dropOwnAisDuplicates(message) : message;
+      if (delta) {
+        this.emit('delta', delta);
+      }
     } else if (message.self) {
       // This is a hello message with server info
+      this.selfContext = message.self;
       this.emit('hello', message);
     }
   }
 
+  /**
+   * The AIS subscription (vessels.*) also matches the own vessel, so its AIS paths arrive twice
+   * (once per subscription) - drop the second copy (same path, source and timestamp)
+   * @param {Object} delta - SignalK delta message
+   * @returns {Object|null} - Delta without the duplicates, or null if nothing is left
+   */
+  dropOwnAisDuplicates(delta) {
+    const context = delta.context || 'vessels.self';
+    if (context !== 'vessels.self' && context !== this.selfContext) {
+      return delta;
+    }
+
+    let dropped = false;
+    const updates = delta.updates.map(update => {
+      const values = (update.values || []).filter(({ path }) => {
+        if (!AIS_PATHS.includes(path)) {
+          return true;
+        }
+        const key = `${path}|${update.$source}`;
+        if (this.ownAisTimestamps.get(key) === update.timestamp) {
+          dropped = true;
+          return false;
+        }
+        this.ownAisTimestamps.set(key, update.timestamp);
+        return true;
+      });
+      return values.length === (update.values || []).length ? update : { ...update, values };
+    });
+
+    if (!dropped) {
+      return delta;
+    }
+    const remaining = updates.filter(update => update.values.length > 0 || (update.meta || []).length > 0);
+    return remaining.length > 0 ? { ...delta, updates: remaining } : null;
+  }
+
   /**
    * Subscribe to SignalK paths
-   * @param {string} path - SignalK path pattern (e.g., "vessels.*" or "vessels.self.navigation.*")
+   * @param {string|Object|Array<string|Object>} paths - SignalK path pattern(s) (e.g., "navigation.*"),
+   *   or { path, period, minPeriod } entries for per-path rates (ms)
+   * @param {string} context - SignalK context (e.g., "vessels.self" or "vessels.*" for AIS targets)
    */
-  subscribe(path) {
+  subscribe(paths, context = '*') {
+    const entries = (Array.isArray(paths) ? paths : [paths])
+      .map(entry => (typeof entry === 'string' ? { path: entry } : entry));
     const subscription = {
-      context: '*',
-      subscribe: [
-        {
-          path: path,
-          period: 1000,
-          format: 'delta',
-          policy: 'instant',
-          minPeriod: 200
-        }
-      ]
+      context: context,
+      subscribe: entries.map(({ path, period = 1000, minPeriod = 200 }) => ({
+        path: path,
+        period: period,
+        format: 'delta',
+        policy: 'instant',
+        minPeriod: minPeriod
+      }))
     };
 
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(subscription));
-      console.log(`📡 Subscribed to SignalK path: ${path}`);
+      const pathList = entries.map(({ path }) => path);
+      const shown = pathList.length > 8 ? `${pathList.slice(0, 8).join(', ')} (+${pathList.length - 8} more)` : pathList.join(', ');
+      console.log(`📡 Subscribed to SignalK path: ${shown}${context !== '*' ? ` (${context})` : ''}`);
     }
   }
 
@@ -99,22 +158,87 @@ class SignalKClient extends EventEmitter {
    * Send PUT request to SignalK (for bidirectional control)
    * @param {string} path - SignalK path
    * @param {*} value - Value to set
-   * @returns {Promise<Object>} - Response from SignalK
+   * @returns {Promise<Object>} - SignalK request status ({ state, statusCode, message, href })
    */
   async put(path, value) {
-    const host = this.config.signalk.host || 'localhost';
-    const port = this.config.signalk.port || 3000;
-    const url = `http://${host}:${port}/signalk/v1/api/vessels/self/${path}`;
-
-    const response = await fetch(url, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ value })
-    });
+    return this.request('PUT', `/signalk/v1/api/vessels/self/${path.replace(/\./g, '/')}`, { value });
+  }
+
+  /**
+   * Send an HTTP request to the SignalK API (e.g., v2 autopilot API)
+   * @param {string} method - HTTP method (GET, PUT, POST)
+   * @param {string} apiPath - API path starting with "/signalk/"
+   * @param {Object} body - JSON body (optional)
+   * @returns {Promise<Object>} - SignalK request status ({ state, statusCode, message, href })
+   */
+  async request(method, apiPath, body = undefined) {
+    const response = await this.http.request(method, apiPath, body);
+    return this.parseRequestResponse(response);
+  }
+
+  /**
+   * Fetch a value from the SignalK REST API
+   * @param {string} apiPath - API path starting with "/signalk/"
+   * @returns {Promise<*>} - Parsed JSON body, or null if unavailable
+   */
+  async getJson(apiPath) {
+    return this.http.getJson(apiPath);
+  }
 
-    return response.json();
+  /**
+   * Get the current status of an asynchronous SignalK request (PENDING PUTs)
+   * @param {string} href - Request href returned by SignalK (e.g., "/signalk/v1/requests/123")
+   * @returns {Promise<Object>} - SignalK request status
+   */
+  async getRequestStatus(href) {
+    const response = await this.http.request('GET', href);
+    return this.parseRequestResponse(response);
+  }
+
+  /**
+   * Normalize a SignalK request response, even when the body is empty or not JSON
+   * @param {Object} response - SignalKHttp response ({ ok, status, statusText, body })
+   * @returns {Object} - { state, statusCode, message, href, ... }
+   */
+  parseRequestResponse(response) {
+    // Some servers reply with an empty body (e.g., 405 when no PUT handler is registered)
+    const body = response.body && typeof response.body === 'object' ? response.body : {};
+
+    return {
+      ...body,
+      state: body.state || (response.ok ? 'COMPLETED' : 'FAILED'),
+      statusCode: body.statusCode || response.status,
+      message: body.message || (response.ok ? '' : response.statusText),
+    };
+  }
+
+  /**
+   * Stop reading from the WebSocket (backpressure while deltas are being processed)
+   */
+  pause() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN && !this.ws.isPaused) {
+      this.ws.pause();
+    }
+  }
+
+  /**
+   * Resume reading from the WebSocket
+   */
+  resume() {
+    if (this.ws && this.ws.isPaused) {
+      this.ws.resume();
+    }
+  }
+
+  /**
+   * Reconnect the WebSocket (e.g., to apply a new access token)
+   */
+  reconnect() {
+    if (this.ws) {
+      console.log('🔄 Reconnecting to SignalK with new credentials...');
+      // The close handler schedules the reconnect
+      this.ws.terminate();
+    }
   }
 
   /**
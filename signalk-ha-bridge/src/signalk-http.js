@@ -0,0 +1,443 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const TOKEN_FILE = 'signalk-token.json';
+// Failed logins are retried after 5 s, doubling up to 10 minutes
+const LOGIN_RETRY_MIN = 5000;
+const LOGIN_RETRY_MAX = 600000;
+// Pending access requests are polled every 10 s, with a reminder every 10 minutes, for up to an hour
+const ACCESS_POLL_INTERVAL = 10000;
+const ACCESS_REMINDER_INTERVAL = 600000;
+const ACCESS_REQUEST_TIMEOUT = 3600000;
+
+class SignalKHttp extends EventEmitter {
+  constructor(config, stateStore) {
+    super();
+    this.config = config;
+    this.stateStore = stateStore;
+
+    const signalk = config.signalk;
+    this.secure = signalk.ssl === true;
+    this.agent = this.secure
+      ? new https.Agent({ keepAlive: true, rejectUnauthorized: signalk.rejectUnauthorized !== false })
+      : new http.Agent({ keepAlive: true });
+
+    this.token = signalk.token || null;
+    // Whether the token is an approved device token (dropped when SignalK rejects it)
+    this.deviceToken = false;
+    this.refreshTimer = null;
+    // In-flight login, shared by concurrent requests that need one
+    this.loginPromise = null;
+    this.loginRetryDelay = LOGIN_RETRY_MIN;
+    this.accessRequestPending = false;
+  }
+
+  /**
+   * Get SignalK HTTP base URL
+   * @returns {string} - Base URL (e.g., "https://localhost:3443")
+   */
+  getBaseUrl() {
+    const host = this.config.signalk.host || 'localhost';
+    const port = this.config.signalk.port || 3000;
+    return `${this.secure ? 'https' : 'http'}://${host}:${port}`;
+  }
+
+  /**
+   * Get SignalK WebSocket URL
+   * @param {string} apiPath - Stream path and query (e.g., "/signalk/v1/stream?subscribe=self")
+   * @returns {string} - WebSocket URL
+   */
+  getWsUrl(apiPath) {
+    return `${this.getBaseUrl().replace(/^http/, 'ws')}${apiPath}`;
+  }
+
+  /**
+   * Get options for the ws WebSocket constructor (auth header and TLS settings)
+   * @returns {Object} - ws client options
+   */
+  getWsOptions() {
+    return {
+      headers: this.getAuthHeaders(),
+      rejectUnauthorized: this.config.signalk.rejectUnauthorized !== false,
+    };
+  }
+
+  /**
+   * Get the Authorization header for the current token
+   * @returns {Object} - Headers
+   */
+  getAuthHeaders() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
+  /**
+   * Obtain a token before connecting, in order of preference:
+   * static token, username/password login, stored device token, new device access request.
+   * Never rejects - the bridge falls back to anonymous (read-only) access.
+   * @returns {Promise<void>}
+   */
+  async authenticate() {
+    const signalk = this.config.signalk;
+
+    if (signalk.token) {
+      console.log('🔐 SignalK: using configured token');
+      return;
+    }
+
+    if (signalk.username && signalk.password) {
+      await this.login();
+      return;
+    }
+
+    const stored = this.stateStore.load(TOKEN_FILE);
+    if (stored && stored.token && !this.isExpired(stored.expirationTime)) {
+      console.log('🔐 SignalK: using approved device token');
+      this.token = stored.token;
+      this.deviceToken = true;
+      this.scheduleDeviceTokenRenewal(stored.expirationTime);
+      return;
+    }
+
+    if (signalk.accessRequest) {
+      // Approval needs an admin, so don't hold up the connection - the token is applied when approved
+      this.requestAccess();
+    }
+  }
+
+  /**
+   * Log in with username/password and schedule a refresh before the token expires
+   * (concurrent calls share one login)
+   * @returns {Promise<void>}
+   */
+  login() {
+    if (!this.loginPromise) {
+      this.loginPromise = this.performLogin().finally(() => {
+        this.loginPromise = null;
+      });
+    }
+    return this.loginPromise;
+  }
+
+  /**
+   * Send the login request
+   * @returns {Promise<void>}
+   */
+  async performLogin() {
+    try {
+      const response = await this.send('POST', '/signalk/v1/auth/login', {
+        username: this.config.signalk.username,
+        password: this.config.signalk.password,
+      });
+
+      if (!response.ok || !response.body || !response.body.token) {
+        console.error(`❌ SignalK login failed: ${response.status} ${response.body?.message || response.statusText}`);
+        this.scheduleLoginRetry();
+        return;
+      }
+
+      // After failed attempts the stream is already connected anonymously and needs the token too
+      const retried = this.loginRetryDelay > LOGIN_RETRY_MIN;
+      this.loginRetryDelay = LOGIN_RETRY_MIN;
+      const firstLogin = !this.token;
+      this.token = response.body.token;
+      console.log(`🔐 SignalK: logged in as ${this.config.signalk.username}`);
+      if (!firstLogin || retried) {
+        this.emit('token');
+      }
+
+      // Refresh at 80% of the token lifetime (default: daily)
+      const ttl = (response.body.timeToLive || 86400) * 1000;
+      this.scheduleRefresh(() => this.login(), ttl * 0.8);
+    } catch (error) {
+      console.error('❌ SignalK login error:', error.message);
+      this.scheduleLoginRetry();
+    }
+  }
+
+  /**
+   * Retry a failed login with exponential backoff (the bridge stays anonymous until it succeeds)
+   */
+  scheduleLoginRetry() {
+    console.log(`🔄 Retrying SignalK login in ${Math.round(this.loginRetryDelay / 1000)}s`);
+    this.scheduleRefresh(() => this.login(), this.loginRetryDelay);
+    this.loginRetryDelay = Math.min(this.loginRetryDelay * 2, LOGIN_RETRY_MAX);
+  }
+
+  /**
+   * Ask the SignalK server for a device token (approved by an admin in the SignalK UI)
+   * Polls the request until it is approved or denied (or an hour has passed), then stores the token.
+   * Failed polls (e.g., while SignalK restarts) don't end the request.
+   * @returns {Promise<void>}
+   */
+  async requestAccess() {
+    if (this.accessRequestPending) {
+      return;
+    }
+    this.accessRequestPending = true;
+
+    try {
+      const stored = this.stateStore.load(TOKEN_FILE, {});
+      const clientId = stored.clientId || crypto.randomUUID();
+      // Keep a token being renewed - it stays valid until the new one is approved
+      if (stored.clientId !== clientId) {
+        this.stateStore.save(TOKEN_FILE, { ...stored, clientId });
+      }
+
+      const description = this.config.signalk.accessDescription || 'SignalK HA Bridge';
+      let status = await this.submitAccessRequest(clientId, description);
+      if (!status) {
+        return;
+      }
+
+      console.log(`🔐 SignalK: access requested - approve "${description}" under Security → Access Requests in the SignalK admin UI`);
+
+      const started = Date.now();
+      let reminded = started;
+      let pollFailed = false;
+      while (status.state !== 'COMPLETED' && status.state !== 'DENIED') {
+        if (Date.now() - started >= ACCESS_REQUEST_TIMEOUT) {
+          console.error(`❌ SignalK access request not approved within ${ACCESS_REQUEST_TIMEOUT / 60000} minutes - restart the bridge to ask again`);
+          return;
+        }
+        if (Date.now() - reminded >= ACCESS_REMINDER_INTERVAL) {
+          reminded = Date.now();
+          console.warn(`⚠️  SignalK access request still pending - approve "${description}" under Security → Access Requests`);
+        }
+        await new Promise(resolve => setTimeout(resolve, ACCESS_POLL_INTERVAL));
+
+        let poll;
+        try {
+          poll = await this.send('GET', status.href);
+        } catch (error) {
+          poll = { ok: false, status: null, statusText: error.message };
+        }
+
+        if (poll.ok && poll.body && poll.body.state) {
+          status = { href: status.href, ...poll.body };
+          pollFailed = false;
+          continue;
+        }
+
+        // Only log the first of a series of failed polls
+        if (!pollFailed) {
+          console.warn(`⚠️  SignalK access request status unavailable (${poll.status || poll.statusText}) - still waiting for approval`);
+          pollFailed = true;
+        }
+        // SignalK forgets pending requests when it restarts - ask again with the same client ID
+        if (poll.status === 404) {
+          status = (await this.submitAccessRequest(clientId, description)) || status;
+        }
+      }
+
+      const accessRequest = status.accessRequest || {};
+      if (accessRequest.permission !== 'APPROVED' || !accessRequest.token) {
+        console.error(`❌ SignalK access request ${accessRequest.permission || status.state}`);
+        return;
+      }
+
+      this.token = accessRequest.token;
+      this.deviceToken = true;
+      this.stateStore.save(TOKEN_FILE, { clientId, token: this.token, expirationTime: accessRequest.expirationTime || null });
+      console.log('🔐 SignalK: access approved - device token stored');
+      this.scheduleDeviceTokenRenewal(accessRequest.expirationTime);
+      this.emit('token');
+    } catch (error) {
+      console.error('❌ SignalK access request error:', error.message);
+    } finally {
+      this.accessRequestPending = false;
+    }
+  }
+
+  /**
+   * Submit a device access request
+   * @param {string} clientId - Client ID of the bridge (kept across requests)
+   * @param {string} description - Shown to the admin in the SignalK UI
+   * @returns {Promise<Object|null>} - Request status ({ state, href, ... }), or null if the request failed
+   */
+  async submitAccessRequest(clientId, description) {
+    let response;
+    try {
+      response = await this.send('POST', '/signalk/v1/access/requests', {
+        clientId,
+        description,
+        permissions: 'readwrite',
+      });
+    } catch (error) {
+      console.error('❌ SignalK access request error:', error.message);
+      return null;
+    }
+
+    const status = response.body || {};
+    if (!response.ok || !status.href) {
+      console.error(`❌ SignalK access request failed: ${response.status} ${status.message || response.statusText}`);
+      return null;
+    }
+    return status;
+  }
+
+  /**
+   * Request a new device token shortly before the current one expires
+   * @param {string|null} expirationTime - ISO expiration time (null = never expires)
+   */
+  scheduleDeviceTokenRenewal(expirationTime) {
+    if (!expirationTime || !this.config.signalk.accessRequest) {
+      return;
+    }
+    const renewIn = new Date(expirationTime).getTime() - Date.now() - 3600000;
+    this.scheduleRefresh(() => this.requestAccess(), renewIn);
+  }
+
+  /**
+   * Schedule a token refresh (replaces any pending refresh)
+   * @param {Function} refresh - Refresh function
+   * @param {number} delay - Delay in ms
+   */
+  scheduleRefresh(refresh, delay) {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+    }
+    // setTimeout overflows above ~24.8 days
+    this.refreshTimer = setTimeout(refresh, Math.min(Math.max(delay, 1000), 2147483647));
+  }
+
+  /**
+   * Check if an ISO expiration time has passed
+   * @param {string|null} expirationTime - ISO expiration time
+   * @returns {boolean}
+   */
+  isExpired(expirationTime) {
+    return !!expirationTime && new Date(expirationTime).getTime() <= Date.now();
+  }
+
+  /**
+   * Send an authenticated request to the SignalK API
+   * On 401 it re-logs in once, or drops a rejected device token and asks for access again
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - API path starting with "/signalk/"
+   * @param {Object} body - JSON body (optional)
+   * @param {Object} options - { timeout } in ms
+   * @returns {Promise<Object>} - { ok, status, statusText, body }
+   */
+  async request(method, apiPath, body = undefined, options = {}) {
+    const token = this.token;
+    const response = await this.send(method, apiPath, body, options);
+    if (response.status !== 401) {
+      return response;
+    }
+
+    // Another request already replaced the token - just retry with the new one
+    if (this.token !== token) {
+      return this.send(method, apiPath, body, options);
+    }
+
+    if (this.config.signalk.username && this.config.signalk.password) {
+      await this.login();
+      return this.send(method, apiPath, body, options);
+    }
+
+    if (this.deviceToken) {
+      this.dropDeviceToken();
+    }
+    return response;
+  }
+
+  /**
+   * Forget a device token SignalK no longer accepts (revoked or expired) and ask for a new one
+   */
+  dropDeviceToken() {
+    const { accessRequest } = this.config.signalk;
+    console.warn(`⚠️  SignalK rejected the device token - ${accessRequest ? 'requesting access again' : 'continuing without it'}`);
+    this.token = null;
+    this.deviceToken = false;
+    const { clientId } = this.stateStore.load(TOKEN_FILE, {});
+    this.stateStore.save(TOKEN_FILE, clientId ? { clientId } : {});
+    // Reconnect the stream without the rejected token
+    this.emit('token');
+    if (accessRequest) {
+      this.requestAccess();
+    }
+  }
+
+  /**
+   * GET a JSON document from the SignalK API
+   * @param {string} apiPath - API path starting with "/signalk/"
+   * @param {Object} options - { timeout } in ms
+   * @returns {Promise<*>} - Parsed JSON body, or null if unavailable
+   */
+  async getJson(apiPath, options = {}) {
+    const response = await this.request('GET', apiPath, undefined, options);
+    return response.ok ? response.body : null;
+  }
+
+  /**
+   * Send a single HTTP request
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - API path
+   * @param {Object} body - JSON body (optional)
+   * @param {Object} options - { timeout } in ms
+   * @returns {Promise<Object>} - { ok, status, statusText, body }
+   */
+  send(method, apiPath, body = undefined, { timeout = 30000 } = {}) {
+    const url = new URL(apiPath, this.getBaseUrl());
+    const client = this.secure ? https : http;
+    const payload = body !== undefined ? JSON.stringify(body) : null;
+
+    const headers = { Accept: 'application/json', ...this.getAuthHeaders() };
+    if (payload !== null) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method, headers, agent: this.agent, timeout }, (res) => {
+        let data = '';
+
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+
+        res.on('end', () => {
+          let parsed = null;
+          try {
+            parsed = data ? JSON.parse(data) : null;
+          } catch (error) {
+            // Non-JSON body (e.g., plain text error) - keep it as the message
+            parsed = { message: data };
+          }
+
+          resolve({
+            ok: res.statusCode >= 200 && res.statusCode < 300,
+            status: res.statusCode,
+            statusText: res.statusMessage,
+            body: parsed,
+          });
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('SignalK API request timed out'));
+      });
+
+      req.on('error', reject);
+
+      if (payload !== null) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  /**
+   * Stop token refresh timers
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
+
+module.exports = SignalKHttp;
@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+class StateStore {
+  constructor(config) {
+    this.config = config;
+    // Persistent data directory (/data in the add-on, ./data when running locally)
+    this.dataDir = config.dataDir || path.join(__dirname, '..', 'data');
+  }
+
+  /**
+   * Load a JSON state file
+   * @param {string} name - File name (e.g., "signalk-token.json")
+   * @param {*} defaults - Value returned if the file is missing or invalid
+   * @returns {*} - Parsed state
+   */
+  load(name, defaults = null) {
+    const filePath = path.join(this.dataDir, name);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read ${filePath}:`, error.message);
+      }
+      return defaults;
+    }
+  }
+
+  /**
+   * Save a JSON state file (written atomically so a crash never leaves a partial file)
+   * @param {string} name - File name
+   * @param {*} data - State to save
+   */
+  save(name, data) {
+    const filePath = path.join(this.dataDir, name);
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      console.warn(`⚠️  Could not write ${filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,150 @@
+const TANK_PATH = /^tanks\.([^.]+)\.([^.]+)\.(currentLevel|currentVolume|capacity)$/;
+const FUEL_RATE_PATH = /^propulsion\.([^.]+)\.fuel\.rate$/;
+
+// Outputs (published like SignalK values, so the usual unit conversion applies)
+const META = {
+  volume: { units: 'm3', description: 'Tank contents (current level × capacity)' },
+  rate: { units: 'm3/s', description: 'Total fuel consumption of all engines' },
+  economy: { units: 'm3/m', description: 'Fuel used per distance over ground' },
+  range: { units: 'm', description: 'Distance the fuel in the fuel tanks lasts at the current consumption and speed' },
+};
+
+class TankMonitor {
+  /**
+   * @param {Object} config - App configuration
+   * @param {Function} emitValue - Called with (path, value, meta) for every computed value
+   */
+  constructor(config, emitValue) {
+    this.config = config;
+    this.emitValue = emitValue;
+
+    const tanksConfig = config.tanks || {};
+    this.enabled = tanksConfig.enabled !== false;
+    // Capacities for tanks that don't report one ("<type>.<id>" -> litres)
+    this.capacities = tanksConfig.capacities || {};
+    // Below this speed over ground economy and range are unknown (m/s, ~1 kn)
+    this.minSpeed = tanksConfig.minSpeed ?? 0.5;
+    // Fuel rates and speed older than this are ignored (seconds)
+    this.maxAge = (tanksConfig.maxAge ?? 10) * 1000;
+
+    // Per tank ("<type>.<id>" -> { currentLevel, currentVolume, capacity, volumeProvided })
+    this.tanks = new Map();
+    // Fuel rate per engine (engine id -> { value, received })
+    this.fuelRates = new Map();
+    this.speedOverGround = null;
+    // Whether economy and range were last published with a value (the first unknown is published too)
+    this.consumptionKnown = true;
+  }
+
+  /**
+   * Observe a SignalK value and recalculate the values that use it
+   * @param {string} signalkPath - SignalK path
+   * @param {*} value - SignalK value
+   */
+  observeValue(signalkPath, value) {
+    if (!this.enabled || typeof value !== 'number' || !isFinite(value)) {
+      return;
+    }
+
+    const tankMatch = signalkPath.match(TANK_PATH);
+    if (tankMatch) {
+      this.observeTank(`${tankMatch[1]}.${tankMatch[2]}`, tankMatch[3], value);
+      return;
+    }
+
+    const rateMatch = signalkPath.match(FUEL_RATE_PATH);
+    if (rateMatch) {
+      this.fuelRates.set(rateMatch[1], { value, received: Date.now() });
+      this.calculateConsumption();
+      return;
+    }
+
+    if (signalkPath === 'navigation.speedOverGround') {
+      this.speedOverGround = { value, received: Date.now() };
+    }
+  }
+
+  /**
+   * Track a tank value and publish its volume when SignalK doesn't
+   * @param {string} tankKey - "<type>.<id>" (e.g., "fuel.0")
+   * @param {string} property - currentLevel, currentVolume or capacity
+   * @param {number} value - SignalK value (ratio, m3)
+   */
+  observeTank(tankKey, property, value) {
+    let tank = this.tanks.get(tankKey);
+    if (!tank) {
+      tank = { currentLevel: null, currentVolume: null, capacity: null, volumeProvided: false };
+      this.tanks.set(tankKey, tank);
+    }
+
+    tank[property] = value;
+    if (property === 'currentVolume') {
+      tank.volumeProvided = true;
+      return;
+    }
+    if (tank.volumeProvided || tank.currentLevel === null) {
+      return;
+    }
+
+    const capacity = this.getCapacity(tankKey, tank);
+    if (capacity === null) {
+      return;
+    }
+    tank.currentVolume = tank.currentLevel * capacity;
+    this.emitValue(`tanks.${tankKey}.currentVolume`, tank.currentVolume, META.volume);
+  }
+
+  /**
+   * Get a tank's capacity (configured capacities override the one reported by SignalK)
+   * @param {string} tankKey - "<type>.<id>"
+   * @param {Object} tank - Tank state
+   * @returns {number|null} - Capacity (m3), or null if unknown
+   */
+  getCapacity(tankKey, tank) {
+    if (this.capacities[tankKey] !== undefined) {
+      return this.capacities[tankKey] / 1000;
+    }
+    return tank.capacity > 0 ? tank.capacity : null;
+  }
+
+  /**
+   * Total fuel rate, economy (volume per distance) and range of the fuel in the fuel tanks
+   */
+  calculateConsumption() {
+    const now = Date.now();
+    const rates = [...this.fuelRates.values()].filter(rate => now - rate.received <= this.maxAge);
+    if (rates.length === 0) {
+      return;
+    }
+
+    const totalRate = rates.reduce((sum, rate) => sum + rate.value, 0);
+    this.emitValue('fuel.rate', totalRate, META.rate);
+
+    // Economy and range are meaningless when drifting or at anchor
+    const speed = this.speedOverGround && now - this.speedOverGround.received <= this.maxAge
+      ? this.speedOverGround.value
+      : null;
+    if (speed === null || speed < this.minSpeed || totalRate <= 0) {
+      // Published once when they become unknown, not with every fuel rate
+      if (this.consumptionKnown) {
+        this.emitValue('fuel.economy', null, META.economy);
+        this.emitValue('fuel.range', null, META.range);
+        this.consumptionKnown = false;
+      }
+      return;
+    }
+    this.consumptionKnown = true;
+
+    const economy = totalRate / speed;
+    this.emitValue('fuel.economy', economy, META.economy);
+
+    const fuelVolumes = [...this.tanks.entries()]
+      .filter(([tankKey, tank]) => tankKey.startsWith('fuel.') && tank.currentVolume !== null)
+      .map(([, tank]) => tank.currentVolume);
+    if (fuelVolumes.length > 0) {
+      this.emitValue('fuel.range', fuelVolumes.reduce((sum, volume) => sum + volume, 0) / economy, META.range);
+    }
+  }
+}
+
+module.exports = TankMonitor;
@@ -0,0 +1,127 @@
+const RAD_TO_DEG = 180 / Math.PI;
+const MS_TO_KNOTS = 1.943844;
+
+class VesselTracker {
+  constructor(config, haDiscovery) {
+    this.config = config;
+    this.haDiscovery = haDiscovery;
+
+    const trackerConfig = config.vesselTracker || {};
+    this.enabled = trackerConfig.enabled !== false;
+    // Minimum time between location updates (position usually arrives at 1 Hz)
+    this.minInterval = trackerConfig.minInterval ?? 5000;
+    // User equivalent range error: gps_accuracy (m) = HDOP × UERE
+    this.uere = trackerConfig.uere ?? 5;
+
+    this.entity = null;
+    this.lastPublish = 0;
+    // Latest navigation values used as tracker attributes
+    this.navigation = {
+      position: null,
+      horizontalDilution: null,
+      courseOverGroundTrue: null,
+      speedOverGround: null,
+      headingTrue: null,
+      headingMagnetic: null,
+    };
+  }
+
+  /**
+   * Observe a SignalK value (the value is still published as a regular sensor)
+   * Publishes the tracker location whenever the position changes
+   * (own navigation data is always kept, e.g., for AIS CPA calculations)
+   * @param {string} signalkPath - SignalK path
+   * @param {*} value - SignalK value
+   */
+  observeValue(signalkPath, value) {
+    switch (signalkPath) {
+      case 'navigation.position':
+        this.navigation.position = value;
+        this.publishLocation();
+        break;
+      case 'navigation.gnss.horizontalDilution':
+      case 'navigation.courseOverGroundTrue':
+      case 'navigation.speedOverGround':
+      case 'navigation.headingTrue':
+      case 'navigation.headingMagnetic':
+        this.navigation[signalkPath.split('.').pop()] = value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Publish the vessel location as device_tracker attributes (throttled)
+   */
+  publishLocation() {
+    if (!this.enabled) {
+      return;
+    }
+
+    const position = this.navigation.position;
+    if (!position || typeof position.latitude !== 'number' || typeof position.longitude !== 'number') {
+      return;
+    }
+
+    const now = Date.now();
+    if (now - this.lastPublish < this.minInterval) {
+      return;
+    }
+    this.lastPublish = now;
+
+    if (!this.entity) {
+      this.entity = this.haDiscovery.publishEntity('device_tracker', this.haDiscovery.getVesselDevice(), 'tracker', {
+        name: 'Location',
+        icon: 'mdi:sail-boat',
+        source_type: 'gps',
+      }, { state: false, attributes: true });
+      console.log('🔍 Discovered: Vessel location tracker (navigation.position)');
+    }
+
+    this.haDiscovery.publishState(this.entity.attributesTopic, this.getAttributes());
+  }
+
+  /**
+   * Build device_tracker attributes (HA reads latitude/longitude/gps_accuracy for the map)
+   * @returns {Object} - Tracker attributes
+   */
+  getAttributes() {
+    const { position, horizontalDilution, courseOverGroundTrue, speedOverGround, headingTrue, headingMagnetic } = this.navigation;
+    const attributes = {
+      latitude: position.latitude,
+      longitude: position.longitude,
+    };
+
+    if (typeof position.altitude === 'number') {
+      attributes.altitude = position.altitude;
+    }
+    if (typeof horizontalDilution === 'number') {
+      attributes.gps_accuracy = Math.round(horizontalDilution * this.uere);
+    }
+    if (typeof courseOverGroundTrue === 'number') {
+      attributes.course_over_ground = this.toDegrees(courseOverGroundTrue);
+    }
+    if (typeof speedOverGround === 'number') {
+      attributes.speed_over_ground = Number((speedOverGround * MS_TO_KNOTS).toFixed(1));
+    }
+    const heading = typeof headingTrue === 'number' ? headingTrue : headingMagnetic;
+    if (typeof heading === 'number') {
+      attributes.heading = this.toDegrees(heading);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Convert radians to degrees in [0, 360) with 1 decimal
+   * @param {number} radians - Angle in radians
+   * @returns {number} - Angle in degrees
+   */
+  toDegrees(radians) {
+    const degrees = ((radians * RAD_TO_DEG) % 360 + 360) % 360;
+    return Number(degrees.toFixed(1));
+  }
+}
+
+module.exports = VesselTracker;
@@ -0,0 +1,101 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const EnergyMeter = require('../src/energy-meter');
+
+/**
+ * Build a meter that records the last published value per path
+ * @param {Object} energyConfig - `energy` config section
+ * @returns {{meter: EnergyMeter, totals: Object}}
+ */
+const createMeter = (energyConfig = {}) => {
+  const totals = {};
+  const meter = new EnergyMeter({ energy: energyConfig }, null, (path, value) => {
+    totals[path] = value;
+  });
+  return { meter, totals };
+};
+
+/**
+ * Integrate a series of [seconds, watts] samples for one device
+ * @param {EnergyMeter} meter - Energy meter
+ * @param {string} kind - Electrical kind
+ * @param {Array<Array<number>>} samples - [time (s), power (W)] pairs
+ */
+const feed = (meter, kind, samples) => {
+  for (const [seconds, power] of samples) {
+    meter.integrate(kind, `${kind}.house`, power, seconds * 1000);
+  }
+};
+
+describe('EnergyMeter integrate', () => {
+  test('integrates the trapezoid between two samples', () => {
+    const { meter, totals } = createMeter();
+    feed(meter, 'solar', [[0, 100], [10, 300]]);
+    assert.equal(totals['electrical.solar.house.energy'], 2000);
+  });
+
+  test('negative battery power is charged energy by default (SignalK: positive current flows out)', () => {
+    const { meter, totals } = createMeter();
+    feed(meter, 'batteries', [[0, -100], [10, -100]]);
+    assert.equal(totals['electrical.batteries.house.energyCharged'], 1000);
+    assert.equal(totals['electrical.batteries.house.energyDischarged'], 0);
+  });
+
+  test('chargingPositive counts positive battery power as charged energy', () => {
+    const { meter, totals } = createMeter({ chargingPositive: true });
+    feed(meter, 'batteries', [[0, 100], [10, 100]]);
+    assert.equal(totals['electrical.batteries.house.energyCharged'], 1000);
+    assert.equal(totals['electrical.batteries.house.energyDischarged'], 0);
+  });
+
+  test('an interval that changes sign is split at the zero crossing', () => {
+    const { meter, totals } = createMeter();
+    // Crosses zero after 2.5 s: 2.5 s from 100 W down and 7.5 s down to -300 W
+    feed(meter, 'batteries', [[0, 100], [10, -300]]);
+    assert.equal(totals['electrical.batteries.house.energyDischarged'], 125);
+    assert.equal(totals['electrical.batteries.house.energyCharged'], 1125);
+  });
+
+  test('the split follows chargingPositive', () => {
+    const { meter, totals } = createMeter({ chargingPositive: true });
+    feed(meter, 'batteries', [[0, 100], [10, -300]]);
+    assert.equal(totals['electrical.batteries.house.energyCharged'], 125);
+    assert.equal(totals['electrical.batteries.house.energyDischarged'], 1125);
+  });
+
+  test('gaps longer than maxGap are not integrated', () => {
+    const { meter, totals } = createMeter({ maxGap: 30 });
+    feed(meter, 'solar', [[0, 100], [31, 100]]);
+    assert.equal(totals['electrical.solar.house.energy'], undefined);
+
+    // Integration resumes from the sample after the gap
+    feed(meter, 'solar', [[41, 100]]);
+    assert.equal(totals['electrical.solar.house.energy'], 1000);
+  });
+
+  test('a gap of exactly maxGap is integrated', () => {
+    const { meter, totals } = createMeter({ maxGap: 30 });
+    feed(meter, 'solar', [[0, 100], [30, 100]]);
+    assert.equal(totals['electrical.solar.house.energy'], 3000);
+  });
+});
+
+describe('EnergyMeter getPower', () => {
+  const { meter } = createMeter();
+  const now = 1000000;
+
+  test('prefers the reported power over voltage × current', () => {
+    const device = { power: { value: 50, received: now }, voltage: { value: 12, received: now }, current: { value: 5, received: now } };
+    assert.deepEqual(meter.getPower(device, now), { value: 50, inputs: ['power'] });
+  });
+
+  test('computes voltage × current without a reported power', () => {
+    const device = { voltage: { value: 12, received: now }, current: { value: -5, received: now } };
+    assert.deepEqual(meter.getPower(device, now), { value: -60, inputs: ['voltage', 'current'] });
+  });
+
+  test('ignores values older than maxGap', () => {
+    const device = { power: { value: 50, received: now - 61000 }, voltage: { value: 12, received: now }, current: { value: 5, received: now } };
+    assert.deepEqual(meter.getPower(device, now), { value: 60, inputs: ['voltage', 'current'] });
+  });
+});
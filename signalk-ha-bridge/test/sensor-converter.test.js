@@ -0,0 +1,160 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const SensorConverter = require('../src/sensor-converter');
+const { ConfigLoader } = require('../src/config-loader');
+
+// One case per unit mapping: a SignalK path, its meta.units and a sample value as SignalK sends it,
+// with the value and discovery fields Home Assistant should get
+const cases = [
+  // Temperature
+  { units: 'K', path: 'environment.water.temperature', value: 293.15, expected: 20, unit: '°C', deviceClass: 'temperature' },
+  { units: '°C', path: 'environment.inside.temperature', value: 21.5, expected: 21.5, unit: '°C', deviceClass: 'temperature' },
+  { units: '°F', path: 'environment.inside.temperature', value: 68, expected: 20, unit: '°C', deviceClass: 'temperature' },
+  { units: 'F', path: 'environment.outside.temperature', value: 77, expected: 25, unit: '°C', deviceClass: 'temperature' },
+
+  // Speed, distance, area, acceleration
+  { units: 'm/s', path: 'navigation.speedOverGround', value: 3.087, expected: 3.1, unit: 'm/s', deviceClass: 'speed' },
+  { name: 'm/s (wind)', units: 'm/s', path: 'environment.wind.speedApparent', value: 7.72, expected: 7.7, unit: 'm/s', deviceClass: 'wind_speed' },
+  { units: 'm', path: 'environment.depth.belowTransducer', value: 12.345, expected: 12.3, unit: 'm', deviceClass: 'distance' },
+  { units: 'm2', path: 'sails.inventory.main.area', value: 35.5, expected: 35.5, unit: 'm²', deviceClass: 'area' },
+  { units: 'm/s2', path: 'navigation.acceleration.x', value: 0.98, expected: 0.98, unit: 'm/s²', deviceClass: null },
+
+  // Angles
+  { units: 'rad', path: 'navigation.headingTrue', value: 1.5708, expected: 90, unit: '°', deviceClass: null },
+  { units: 'deg', path: 'navigation.position.latitude', value: 60.1234567, expected: 60.1234567, unit: '°', deviceClass: null },
+  { units: 'rad/s', path: 'navigation.rateOfTurn', value: 0.0174533, expected: 1, unit: '°/s', deviceClass: null },
+  { units: 'rad/s2', path: 'navigation.angularAcceleration', value: 0.0349066, expected: 2, unit: '°/s²', deviceClass: null },
+
+  // Electrical
+  { units: 'V', path: 'electrical.batteries.house.voltage', value: 12.84, expected: 12.84, unit: 'V', deviceClass: 'voltage' },
+  { units: 'A', path: 'electrical.batteries.house.current', value: -5.3, expected: -5.3, unit: 'A', deviceClass: 'current' },
+  { name: 'C (coulomb, not Celsius)', units: 'C', path: 'electrical.batteries.house.capacity.nominal', value: 720000, expected: 200, unit: 'Ah', deviceClass: null },
+  { units: 'W', path: 'electrical.solar.1.panelPower', value: 245.6, expected: 245.6, unit: 'W', deviceClass: 'power' },
+  { units: 'J', path: 'electrical.batteries.house.capacity.remaining', value: 8640000, expected: 2.4, unit: 'kWh', deviceClass: 'energy_storage', stateClass: 'measurement' },
+  { name: 'J (energy meter total)', units: 'J', path: 'electrical.batteries.house.energyCharged', value: 4500000, expected: 1.25, unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+  { units: 'ohm', path: 'electrical.ac.shore.insulationResistance', value: 1500, expected: 1500, unit: 'Ω', deviceClass: null },
+
+  // Pressure
+  { units: 'Pa', path: 'propulsion.port.oilPressure', value: 350000, expected: 350000, unit: 'Pa', deviceClass: 'pressure' },
+  { name: 'Pa (barometric)', units: 'Pa', path: 'environment.outside.pressure', value: 101325, expected: 1013.25, unit: 'hPa', deviceClass: 'atmospheric_pressure' },
+  { units: 'mmHg', path: 'environment.outside.pressure', value: 760, expected: 760, unit: 'mmHg', deviceClass: 'pressure' },
+  { units: 'Pa/s', path: 'environment.outside.pressureRate', value: -0.05, expected: -0.05, unit: 'Pa/s', deviceClass: null },
+  { units: 'Pa.s', path: 'propulsion.port.oilViscosity', value: 0.25, expected: 0.25, unit: 'Pa·s', deviceClass: null },
+
+  // Volume, flow, mass
+  { units: 'm3', path: 'propulsion.port.fuel.used', value: 0.012, expected: 12, unit: 'L', deviceClass: 'volume' },
+  { name: 'm3 (tank)', units: 'm3', path: 'tanks.fuel.0.currentVolume', value: 0.15, expected: 150, unit: 'L', deviceClass: 'volume_storage' },
+  { units: 'm3/s', path: 'propulsion.port.fuel.rate', value: 0.0000025, expected: 9, unit: 'L/h', deviceClass: 'volume_flow_rate' },
+  { units: 'm3/m', path: 'fuel.economy', value: 0.0000027, expected: 5, unit: 'L/nm', deviceClass: null },
+  { units: 'kg', path: 'design.displacement', value: 12000, expected: 12000, unit: 'kg', deviceClass: 'weight' },
+  { units: 'kg/s', path: 'propulsion.port.fuel.massFlowRate', value: 0.002, expected: 7.2, unit: 'kg/h', deviceClass: null },
+  { units: 'kg/m3', path: 'tanks.fuel.0.density', value: 840, expected: 840, unit: 'kg/m³', deviceClass: null },
+
+  // Mechanics, magnetism, light
+  { units: 'N', path: 'steering.rudderForce', value: 1500, expected: 1500, unit: 'N', deviceClass: null },
+  { units: 'Nm', path: 'propulsion.port.torque', value: 250, expected: 250, unit: 'N·m', deviceClass: null },
+  { units: 'T', path: 'environment.magneticFieldStrength', value: 1.2, expected: 1.2, unit: 'T', deviceClass: null },
+  { units: 'Lux', path: 'environment.outside.illuminance', value: 25000, expected: 25000, unit: 'lx', deviceClass: 'illuminance' },
+
+  // Time, frequency, ratios
+  { units: 's', path: 'electrical.batteries.house.capacity.timeRemaining', value: 7200, expected: 7200, unit: 's', deviceClass: 'duration' },
+  { name: 's (engine hours)', units: 's', path: 'propulsion.port.runTime', value: 4500000, expected: 1250, unit: 'h', deviceClass: 'duration', stateClass: 'total_increasing' },
+  { units: 'Hz', path: 'electrical.ac.shore.frequency', value: 50, expected: 50, unit: 'Hz', deviceClass: 'frequency' },
+  { name: 'Hz (revolutions)', units: 'Hz', path: 'propulsion.port.revolutions', value: 30, expected: 1800, unit: 'rpm', deviceClass: null },
+  { units: 'ratio', path: 'propulsion.port.engineLoad', value: 0.65, expected: 65, unit: '%', deviceClass: null },
+  { name: 'ratio (state of charge)', units: 'ratio', path: 'electrical.batteries.house.capacity.stateOfCharge', value: 0.87, expected: 87, unit: '%', deviceClass: 'battery' },
+];
+
+describe('SensorConverter unit mappings', () => {
+  const converter = new SensorConverter({}, null);
+
+  for (const { name, units, path, value, expected, unit, deviceClass, stateClass = null } of cases) {
+    test(`${name || units}: ${path}`, () => {
+      const meta = { units };
+      const inferred = converter.inferFromMeta(path, value, meta);
+      assert.equal(inferred.unit, unit);
+      assert.equal(inferred.deviceClass, deviceClass);
+      assert.equal(inferred.stateClass, stateClass);
+
+      const converted = converter.convertValue(path, value, inferred, meta);
+      assert.equal(Number(converted), expected);
+
+      // Commands from HA are converted back to the SignalK unit
+      const reverted = converter.revertValue(path, converter.getUnitMapping(path, units).convert(value), meta);
+      assert.ok(Math.abs(reverted - value) <= Math.abs(value) * 1e-9, `reverted ${reverted}, expected ${value}`);
+    });
+  }
+
+  test('every unit in the table has a case', () => {
+    const covered = new Set(cases.map(({ units }) => units));
+    assert.deepEqual(Object.keys(converter.unitToDeviceClass).filter(units => !covered.has(units)), []);
+  });
+
+  test('raw mode publishes SignalK values unconverted', () => {
+    const raw = new SensorConverter({ rawMode: true }, null);
+    assert.equal(raw.convertValue('environment.water.temperature', 293.15, {}, { units: 'K' }), '293.15');
+    assert.equal(raw.revertValue('environment.water.temperature', 293.15, { units: 'K' }), 293.15);
+  });
+
+  test('values without meta units are not converted', () => {
+    assert.equal(converter.getUnitMapping('environment.water.temperature', undefined), null);
+    assert.equal(converter.convertValue('navigation.log', 1234.567, {}, null), '1234.57');
+  });
+});
+
+describe('SensorConverter sensor overrides', () => {
+  const bundled = {
+    'navigation.speedOverGround': { enabled: true, name: 'Speed Over Ground', deviceClass: 'speed', unit: 'm/s', icon: 'mdi:speedometer' },
+    'electrical.batteries.*.current': { enabled: true, name: 'Battery Current', deviceClass: 'current', unit: 'A', icon: 'mdi:current-dc' },
+  };
+
+  /**
+   * Build a converter with add-on overrides merged over the bundled sensors section
+   * @param {Array<Object>} overrides - Add-on sensor overrides
+   * @returns {SensorConverter}
+   */
+  const withOverrides = (overrides) => {
+    const loader = new ConfigLoader('app-config.json');
+    loader.setSensorOverrides(overrides);
+    return new SensorConverter({ sensors: loader.mergeSensors(bundled) }, null);
+  };
+
+  test('an override on a path not in the bundled config keeps the generated unit and device class', () => {
+    const converter = withOverrides([{ path: 'electrical.batteries.house.voltage', name: 'House' }]);
+    const sensorConfig = converter.getSensorConfig('electrical.batteries.house.voltage', 12.84, { units: 'V' });
+    assert.equal(sensorConfig.name, 'House');
+    assert.equal(sensorConfig.unit, 'V');
+    assert.equal(sensorConfig.deviceClass, 'voltage');
+    assert.equal(sensorConfig.enabled, true);
+  });
+
+  test('an override on a generated counter keeps its state class and conversion', () => {
+    const converter = withOverrides([{ path: 'propulsion.port.runTime', icon: 'mdi:timer' }]);
+    const meta = { units: 's' };
+    const sensorConfig = converter.getSensorConfig('propulsion.port.runTime', 4500000, meta);
+    assert.equal(sensorConfig.icon, 'mdi:timer');
+    assert.equal(sensorConfig.unit, 'h');
+    assert.equal(sensorConfig.stateClass, 'total_increasing');
+    assert.equal(converter.convertValue('propulsion.port.runTime', 4500000, sensorConfig, meta), '1250');
+  });
+
+  test('an override on a bundled path only replaces the fields it sets', () => {
+    const converter = withOverrides([{ path: 'navigation.speedOverGround', name: 'SOG' }]);
+    const sensorConfig = converter.getSensorConfig('navigation.speedOverGround', 3.1, { units: 'm/s' });
+    assert.equal(sensorConfig.name, 'SOG');
+    assert.equal(sensorConfig.icon, 'mdi:speedometer');
+  });
+
+  test('an override on a path matched by a bundled wildcard is applied over the wildcard entry', () => {
+    const converter = withOverrides([{ path: 'electrical.batteries.house.current', name: 'House Current' }]);
+    const sensorConfig = converter.getSensorConfig('electrical.batteries.house.current', -5.3, { units: 'A' });
+    assert.equal(sensorConfig.name, 'House Current');
+    assert.equal(sensorConfig.icon, 'mdi:current-dc');
+    assert.equal(sensorConfig.deviceClass, 'current');
+  });
+
+  test('a disabled override disables a generated sensor', () => {
+    const converter = withOverrides([{ path: 'electrical.batteries.house.voltage', enabled: false }]);
+    assert.equal(converter.getSensorConfig('electrical.batteries.house.voltage', 12.84, { units: 'V' }).enabled, false);
+  });
+});